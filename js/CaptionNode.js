@@ -0,0 +1,103 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * CaptionNode displays the closed captions that are emitted by the sound manager when sounds are played, in the style
+ * of "[thunder]".  The most recent captions are shown, one per line, and each is removed after it has been displayed
+ * for a while.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import timer from '../../axon/js/timer.js';
+import merge from '../../phet-core/js/merge.js';
+import StringUtils from '../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../scenery-phet/js/PhetFont.js';
+import Text from '../../scenery/js/nodes/Text.js';
+import VBox from '../../scenery/js/nodes/VBox.js';
+import soundManager from './soundManager.js';
+import tambo from './tambo.js';
+import tamboStrings from './tambo-strings.js';
+
+const captionPatternString = tamboStrings.captionPattern;
+
+class CaptionNode extends VBox {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {number} - maximum number of captions shown at once, older ones are removed when this is exceeded
+      maxCaptions: 3,
+
+      // {number} - time, in seconds, for which each caption is shown
+      displayTime: 3,
+
+      // {Font}
+      font: new PhetFont( 16 ),
+
+      // {ColorDef}
+      textFill: 'black',
+
+      // VBox options
+      align: 'left',
+      spacing: 2
+
+    }, options );
+
+    super( options );
+
+    // {Array.<{textNode:Text, timeRemaining:number}>} - the captions currently being shown, oldest first
+    const captions = [];
+
+    const removeOldestCaption = () => {
+      const caption = captions.shift();
+      this.removeChild( caption.textNode );
+      caption.textNode.dispose();
+    };
+
+    // show each caption as it arrives
+    const captionListener = captionString => {
+      const textNode = new Text( StringUtils.fillIn( captionPatternString, { caption: captionString } ), {
+        font: options.font,
+        fill: options.textFill
+      } );
+      captions.push( { textNode: textNode, timeRemaining: options.displayTime } );
+      this.addChild( textNode );
+      while ( captions.length > options.maxCaptions ) {
+        removeOldestCaption();
+      }
+    };
+    soundManager.captionEmitter.addListener( captionListener );
+
+    // remove captions after they have been shown for a while
+    const timerListener = dt => {
+      captions.forEach( caption => { caption.timeRemaining -= dt; } );
+      while ( captions.length > 0 && captions[ 0 ].timeRemaining <= 0 ) {
+        removeOldestCaption();
+      }
+    };
+    timer.addListener( timerListener );
+
+    // @private {function}
+    this.disposeCaptionNode = () => {
+      soundManager.captionEmitter.removeListener( captionListener );
+      timer.removeListener( timerListener );
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeCaptionNode();
+    super.dispose();
+  }
+}
+
+tambo.register( 'CaptionNode', CaptionNode );
+
+export default CaptionNode;
@@ -0,0 +1,205 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * EffectsChain is a series of audio effects, such as filters and delays, through which sound passes on its way from
+ * the input node to the output node.  Effects can be added, removed, and reordered at any time, including while sound
+ * is passing through the chain.  To avoid clicks, the output is briefly faded out while the nodes are reconnected and
+ * then faded back in.
+ *
+ * An effect can be either a single AudioNode or an object with inputNode and outputNode fields, such as the effect
+ * units in the effects directory.  An effect should only be in one chain at a time.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import timer from '../../axon/js/timer.js';
+import merge from '../../phet-core/js/merge.js';
+import phetAudioContext from './phetAudioContext.js';
+import tambo from './tambo.js';
+
+/**
+ * helper function to get the node into which sound should be sent for the provided effect
+ * @param {AudioNode|{inputNode:AudioNode, outputNode:AudioNode}} effect
+ * @returns {AudioNode}
+ */
+function getEffectInput( effect ) {
+  return effect.inputNode || effect;
+}
+
+/**
+ * helper function to get the node from which sound comes out of the provided effect
+ * @param {AudioNode|{inputNode:AudioNode, outputNode:AudioNode}} effect
+ * @returns {AudioNode}
+ */
+function getEffectOutput( effect ) {
+  return effect.outputNode || effect;
+}
+
+class EffectsChain {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {Array.<AudioNode|{inputNode:AudioNode, outputNode:AudioNode}>} - effects that are in the chain initially, in
+      // the order in which sound passes through them
+      effects: [],
+
+      // {number} - time, in seconds, over which the output is faded out before the nodes are reconnected and faded
+      // back in afterwards
+      reconnectFadeTime: 0.02,
+
+      // {AudioContext}
+      audioContext: phetAudioContext
+    }, options );
+
+    // @private
+    this.audioContext = options.audioContext;
+    this.reconnectFadeTime = options.reconnectFadeTime;
+
+    // @public (read-only) {GainNode} - the node to which the sound that should pass through the chain is connected
+    this.inputNode = this.audioContext.createGain();
+
+    // @public (read-only) {GainNode} - the node from which the sound that has passed through the chain comes out, this
+    // is also used to fade the sound out and in when the effects are changed
+    this.outputNode = this.audioContext.createGain();
+
+    // @private {Array.<AudioNode|{inputNode:AudioNode, outputNode:AudioNode}>} - the effects in the chain, in order
+    this.effects = options.effects.slice();
+
+    // @private {Array.<AudioNode|{inputNode:AudioNode, outputNode:AudioNode}>} - the effects that are currently wired
+    // into the audio path, which differs from this.effects while a reconnection is pending
+    this.connectedEffects = [];
+
+    // @private {function|null} - listener for the timeout that reconnects the nodes once the output has faded out,
+    // null when no reconnection is pending
+    this.reconnectTimeoutListener = null;
+
+    this.connectEffects();
+  }
+
+  /**
+   * Add an effect to the chain.
+   * @param {AudioNode|{inputNode:AudioNode, outputNode:AudioNode}} effect
+   * @param {number} [index] - position in the chain, defaults to the end
+   * @public
+   */
+  addEffect( effect, index ) {
+    assert && assert( !this.hasEffect( effect ), 'effect is already in the chain' );
+    index = index === undefined ? this.effects.length : index;
+    assert && assert( index >= 0 && index <= this.effects.length, 'index out of range: ' + index );
+    this.effects.splice( index, 0, effect );
+    this.reconnect();
+  }
+
+  /**
+   * Remove an effect from the chain.
+   * @param {AudioNode|{inputNode:AudioNode, outputNode:AudioNode}} effect
+   * @public
+   */
+  removeEffect( effect ) {
+    assert && assert( this.hasEffect( effect ), 'effect is not in the chain' );
+    this.effects = _.without( this.effects, effect );
+    this.reconnect();
+  }
+
+  /**
+   * Move an effect to a different position in the chain.
+   * @param {AudioNode|{inputNode:AudioNode, outputNode:AudioNode}} effect
+   * @param {number} index - the new position of the effect
+   * @public
+   */
+  moveEffect( effect, index ) {
+    assert && assert( this.hasEffect( effect ), 'effect is not in the chain' );
+    assert && assert( index >= 0 && index < this.effects.length, 'index out of range: ' + index );
+    this.effects = _.without( this.effects, effect );
+    this.effects.splice( index, 0, effect );
+    this.reconnect();
+  }
+
+  /**
+   * @param {AudioNode|{inputNode:AudioNode, outputNode:AudioNode}} effect
+   * @returns {boolean}
+   * @public
+   */
+  hasEffect( effect ) {
+    return _.includes( this.effects, effect );
+  }
+
+  /**
+   * Get the effects in the chain, in the order in which sound passes through them.
+   * @returns {Array.<AudioNode|{inputNode:AudioNode, outputNode:AudioNode}>} - a copy of the list
+   * @public
+   */
+  getEffects() {
+    return this.effects.slice();
+  }
+
+  /**
+   * Fade out the output, reconnect the nodes to match the current list of effects, and fade back in.  Changes that
+   * are made while a reconnection is pending are handled by that reconnection.
+   * @private
+   */
+  reconnect() {
+    if ( this.reconnectTimeoutListener ) {
+      return;
+    }
+
+    const gain = this.outputNode.gain;
+    const now = this.audioContext.currentTime;
+    gain.cancelScheduledValues( now );
+    gain.setValueAtTime( gain.value, now );
+    gain.linearRampToValueAtTime( 0, now + this.reconnectFadeTime );
+
+    this.reconnectTimeoutListener = timer.setTimeout( () => {
+      this.reconnectTimeoutListener = null;
+      this.disconnectEffects();
+      this.connectEffects();
+      const fadeInStartTime = this.audioContext.currentTime;
+      gain.cancelScheduledValues( fadeInStartTime );
+      gain.setValueAtTime( 0, fadeInStartTime );
+      gain.linearRampToValueAtTime( 1, fadeInStartTime + this.reconnectFadeTime );
+    }, this.reconnectFadeTime * 1000 );
+  }
+
+  /**
+   * Connect the input node through the effects to the output node.
+   * @private
+   */
+  connectEffects() {
+    let previousNode = this.inputNode;
+    this.effects.forEach( effect => {
+      previousNode.connect( getEffectInput( effect ) );
+      previousNode = getEffectOutput( effect );
+    } );
+    previousNode.connect( this.outputNode );
+    this.connectedEffects = this.effects.slice();
+  }
+
+  /**
+   * Disconnect the effects that are currently wired into the audio path.  Only the outgoing connections are removed,
+   * so the internal connections of the effects are left intact.
+   * @private
+   */
+  disconnectEffects() {
+    this.inputNode.disconnect();
+    this.connectedEffects.forEach( effect => { getEffectOutput( effect ).disconnect(); } );
+    this.connectedEffects = [];
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    this.reconnectTimeoutListener && timer.clearTimeout( this.reconnectTimeoutListener );
+    this.disconnectEffects();
+    this.outputNode.disconnect();
+  }
+}
+
+tambo.register( 'EffectsChain', EffectsChain );
+
+export default EffectsChain;
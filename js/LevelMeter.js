@@ -0,0 +1,108 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * LevelMeter measures the level of the sound that is passing through a point in the audio path.  It uses an
+ * AnalyserNode that is connected as a tap, so it has no effect on the sound, and it makes the peak and RMS levels
+ * available as Properties in dBFS (decibels relative to full scale).  The Properties are only updated when step is
+ * called, which is generally done by the sound manager on each tick of the sim clock.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import NumberProperty from '../../axon/js/NumberProperty.js';
+import Utils from '../../dot/js/Utils.js';
+import merge from '../../phet-core/js/merge.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import phetAudioContext from './phetAudioContext.js';
+import SoundUtils from './SoundUtils.js';
+import tambo from './tambo.js';
+
+// constants
+const MIN_LEVEL = -100; // in dBFS, used for silence since the actual value would be negative infinity
+
+class LevelMeter {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {number} - number of samples examined each time the level is measured, must be a power of 2
+      fftSize: 1024,
+
+      // {AudioContext}
+      audioContext: phetAudioContext,
+
+      // {Tandem}
+      tandem: Tandem.OPTIONAL
+    }, options );
+
+    // @public (read-only) {AnalyserNode} - node to which the sound that is to be measured should be connected, this
+    // should NOT be connected to anything downstream
+    this.analyserNode = options.audioContext.createAnalyser();
+    this.analyserNode.fftSize = options.fftSize;
+
+    // @private {Float32Array} - reused buffer into which the samples are copied for analysis
+    this.samples = new Float32Array( options.fftSize );
+
+    // @public (read-only) {NumberProperty} - peak level of the most recently measured samples, in dBFS
+    this.peakLevelProperty = new NumberProperty( MIN_LEVEL, {
+      units: 'dB',
+      tandem: options.tandem.createTandem( 'peakLevelProperty' ),
+      phetioReadOnly: true,
+      phetioHighFrequency: true,
+      phetioDocumentation: 'Peak level of the sound, in decibels relative to full scale'
+    } );
+
+    // @public (read-only) {NumberProperty} - RMS (root mean square) level of the most recently measured samples, in
+    // dBFS, which is a better indicator of perceived loudness than the peak level
+    this.rmsLevelProperty = new NumberProperty( MIN_LEVEL, {
+      units: 'dB',
+      tandem: options.tandem.createTandem( 'rmsLevelProperty' ),
+      phetioReadOnly: true,
+      phetioHighFrequency: true,
+      phetioDocumentation: 'RMS (root mean square) level of the sound, in decibels relative to full scale'
+    } );
+  }
+
+  /**
+   * Measure the current levels and update the Properties.
+   * @public
+   */
+  step() {
+    this.analyserNode.getFloatTimeDomainData( this.samples );
+    let peak = 0;
+    for ( let i = 0; i < this.samples.length; i++ ) {
+      peak = Math.max( peak, Math.abs( this.samples[ i ] ) );
+    }
+    this.peakLevelProperty.value = linearToDecibels( peak );
+    this.rmsLevelProperty.value = linearToDecibels( SoundUtils.calculateRms( this.samples ) );
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    this.analyserNode.disconnect();
+    this.peakLevelProperty.dispose();
+    this.rmsLevelProperty.dispose();
+  }
+}
+
+/**
+ * convert a linear amplitude value to decibels relative to full scale, limited at the low end to MIN_LEVEL
+ * @param {number} value
+ * @returns {number}
+ */
+function linearToDecibels( value ) {
+  return value > 0 ? Math.max( 20 * Utils.log10( value ), MIN_LEVEL ) : MIN_LEVEL;
+}
+
+// @public (read-only) {number} - level, in dBFS, that is reported when there is no sound
+LevelMeter.MIN_LEVEL = MIN_LEVEL;
+
+tambo.register( 'LevelMeter', LevelMeter );
+
+export default LevelMeter;
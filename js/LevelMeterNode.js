@@ -0,0 +1,110 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * LevelMeterNode is a Scenery node that displays the levels reported by a LevelMeter as a vertical bar for the RMS
+ * level with a line that indicates the peak level.  It is intended for use during development, e.g. for checking that
+ * the loudness of the sounds is consistent across screens and sims.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import Utils from '../../dot/js/Utils.js';
+import merge from '../../phet-core/js/merge.js';
+import PhetFont from '../../scenery-phet/js/PhetFont.js';
+import Line from '../../scenery/js/nodes/Line.js';
+import Node from '../../scenery/js/nodes/Node.js';
+import Rectangle from '../../scenery/js/nodes/Rectangle.js';
+import Text from '../../scenery/js/nodes/Text.js';
+import tambo from './tambo.js';
+
+class LevelMeterNode extends Node {
+
+  /**
+   * @param {LevelMeter} levelMeter
+   * @param {Object} [options]
+   */
+  constructor( levelMeter, options ) {
+
+    options = merge( {
+
+      // {number} - dimensions of the meter, in screen coordinates
+      meterWidth: 12,
+      meterHeight: 100,
+
+      // {number} - range of levels, in dBFS, that are shown on the meter, levels outside of this are clamped
+      minLevel: -60,
+      maxLevel: 0,
+
+      // {ColorDef}
+      backgroundFill: 'black',
+      rmsFill: '#33cc33',
+      peakStroke: 'yellow',
+
+      // {string|null} - label shown beneath the meter, null for none
+      labelString: null
+
+    }, options );
+
+    super();
+
+    const background = new Rectangle( 0, 0, options.meterWidth, options.meterHeight, {
+      fill: options.backgroundFill
+    } );
+    this.addChild( background );
+
+    const rmsBar = new Rectangle( 0, 0, options.meterWidth, 0, { fill: options.rmsFill } );
+    this.addChild( rmsBar );
+
+    const peakLine = new Line( 0, 0, options.meterWidth, 0, { stroke: options.peakStroke, lineWidth: 2 } );
+    this.addChild( peakLine );
+
+    if ( options.labelString ) {
+      this.addChild( new Text( options.labelString, {
+        font: new PhetFont( 10 ),
+        centerX: background.centerX,
+        top: background.bottom + 2
+      } ) );
+    }
+
+    // function to map a level in dBFS to a y position on the meter
+    const levelToY = level => Utils.linear(
+      options.minLevel,
+      options.maxLevel,
+      options.meterHeight,
+      0,
+      Utils.clamp( level, options.minLevel, options.maxLevel )
+    );
+
+    // update the meter as the levels change
+    const updateRmsBar = rmsLevel => {
+      const top = levelToY( rmsLevel );
+      rmsBar.setRect( 0, top, options.meterWidth, options.meterHeight - top );
+    };
+    levelMeter.rmsLevelProperty.link( updateRmsBar );
+    const updatePeakLine = peakLevel => {
+      peakLine.y = levelToY( peakLevel );
+    };
+    levelMeter.peakLevelProperty.link( updatePeakLine );
+
+    this.mutate( options );
+
+    // @private {function}
+    this.disposeLevelMeterNode = () => {
+      levelMeter.rmsLevelProperty.unlink( updateRmsBar );
+      levelMeter.peakLevelProperty.unlink( updatePeakLine );
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeLevelMeterNode();
+    super.dispose();
+  }
+}
+
+tambo.register( 'LevelMeterNode', LevelMeterNode );
+
+export default LevelMeterNode;
@@ -0,0 +1,219 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * OutputEqualizer is a three-band equalizer that can be inserted into the master output path to adjust the overall
+ * tonal balance of the sound.  It consists of a low shelf, a peaking mid band, and a high shelf, and the frequency and
+ * gain of each band are available as Properties.  It also includes a set of presets that are intended to compensate
+ * for common listening situations, such as small laptop speakers or harsh-sounding classroom speakers.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import NumberProperty from '../../axon/js/NumberProperty.js';
+import Range from '../../dot/js/Range.js';
+import merge from '../../phet-core/js/merge.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import phetAudioContext from './phetAudioContext.js';
+import soundConstants from './soundConstants.js';
+import tambo from './tambo.js';
+
+// constants
+const DEFAULT_TIME_CONSTANT = soundConstants.DEFAULT_PARAM_CHANGE_TIME_CONSTANT;
+const GAIN_RANGE = new Range( -24, 24 ); // in dB
+const LOW_SHELF_FREQUENCY_RANGE = new Range( 20, 1000 ); // in Hz
+const MID_FREQUENCY_RANGE = new Range( 200, 8000 ); // in Hz
+const HIGH_SHELF_FREQUENCY_RANGE = new Range( 1000, 16000 ); // in Hz
+const MID_Q = 1;
+
+// Presets, which are sets of values for the band Properties.  Properties that aren't specified in a preset are set to
+// their initial values when the preset is applied.
+const PRESETS = {
+  flat: {},
+
+  // Small speakers can't reproduce low frequencies, so cut them to reduce distortion, and give the mid range a little
+  // extra presence.
+  'laptop-speakers': {
+    lowShelfGain: -6,
+    lowShelfFrequency: 200,
+    midGain: 3,
+    midFrequency: 2500
+  },
+
+  // Headphones tend to emphasize the high frequencies, so warm things up a bit.
+  headphones: {
+    lowShelfGain: 2,
+    highShelfGain: -3
+  },
+
+  // Reduce the upper mids and highs, which is where the sharp attack of clicks and similar sounds lives.
+  'reduce-harsh-highs': {
+    midGain: -4,
+    midFrequency: 3500,
+    highShelfGain: -9,
+    highShelfFrequency: 6000
+  }
+};
+
+class OutputEqualizer {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {AudioContext}
+      audioContext: phetAudioContext,
+
+      // {Tandem}
+      tandem: Tandem.OPTIONAL
+    }, options );
+
+    // @private {AudioContext}
+    this.audioContext = options.audioContext;
+
+    // @public {NumberProperty} - gain for the low shelf band, in dB
+    this.lowShelfGainProperty = new NumberProperty( 0, {
+      range: GAIN_RANGE,
+      units: 'dB',
+      tandem: options.tandem.createTandem( 'lowShelfGainProperty' ),
+      phetioDocumentation: 'Gain applied to the frequencies below the low shelf frequency'
+    } );
+
+    // @public {NumberProperty} - frequency below which the low shelf gain is applied, in Hz
+    this.lowShelfFrequencyProperty = new NumberProperty( 100, {
+      range: LOW_SHELF_FREQUENCY_RANGE,
+      units: 'Hz',
+      tandem: options.tandem.createTandem( 'lowShelfFrequencyProperty' ),
+      phetioDocumentation: 'Frequency below which the low shelf gain is applied'
+    } );
+
+    // @public {NumberProperty} - gain for the mid band, in dB
+    this.midGainProperty = new NumberProperty( 0, {
+      range: GAIN_RANGE,
+      units: 'dB',
+      tandem: options.tandem.createTandem( 'midGainProperty' ),
+      phetioDocumentation: 'Gain applied to the frequencies around the mid frequency'
+    } );
+
+    // @public {NumberProperty} - center frequency of the mid band, in Hz
+    this.midFrequencyProperty = new NumberProperty( 1000, {
+      range: MID_FREQUENCY_RANGE,
+      units: 'Hz',
+      tandem: options.tandem.createTandem( 'midFrequencyProperty' ),
+      phetioDocumentation: 'Center frequency of the mid band'
+    } );
+
+    // @public {NumberProperty} - gain for the high shelf band, in dB
+    this.highShelfGainProperty = new NumberProperty( 0, {
+      range: GAIN_RANGE,
+      units: 'dB',
+      tandem: options.tandem.createTandem( 'highShelfGainProperty' ),
+      phetioDocumentation: 'Gain applied to the frequencies above the high shelf frequency'
+    } );
+
+    // @public {NumberProperty} - frequency above which the high shelf gain is applied, in Hz
+    this.highShelfFrequencyProperty = new NumberProperty( 8000, {
+      range: HIGH_SHELF_FREQUENCY_RANGE,
+      units: 'Hz',
+      tandem: options.tandem.createTandem( 'highShelfFrequencyProperty' ),
+      phetioDocumentation: 'Frequency above which the high shelf gain is applied'
+    } );
+
+    // create the filters
+    const lowShelfFilter = this.audioContext.createBiquadFilter();
+    lowShelfFilter.type = 'lowshelf';
+    const midFilter = this.audioContext.createBiquadFilter();
+    midFilter.type = 'peaking';
+    midFilter.Q.setValueAtTime( MID_Q, this.audioContext.currentTime );
+    const highShelfFilter = this.audioContext.createBiquadFilter();
+    highShelfFilter.type = 'highshelf';
+    lowShelfFilter.connect( midFilter );
+    midFilter.connect( highShelfFilter );
+
+    // @public (read-only) {AudioNode} - node to which the sound that is to be equalized should be connected
+    this.inputNode = lowShelfFilter;
+
+    // @public (read-only) {AudioNode} - node that should be connected to the rest of the audio path
+    this.outputNode = highShelfFilter;
+
+    // @private {Object} - map of preset fields to the Properties that they control
+    this.presetFieldToPropertyMap = {
+      lowShelfGain: this.lowShelfGainProperty,
+      lowShelfFrequency: this.lowShelfFrequencyProperty,
+      midGain: this.midGainProperty,
+      midFrequency: this.midFrequencyProperty,
+      highShelfGain: this.highShelfGainProperty,
+      highShelfFrequency: this.highShelfFrequencyProperty
+    };
+
+    // hook up the Properties to the filter parameters
+    const linkProperty = ( property, audioParam ) => {
+      const listener = value => {
+        audioParam.setTargetAtTime( value, this.audioContext.currentTime, DEFAULT_TIME_CONSTANT );
+      };
+      property.link( listener );
+      return () => { property.unlink( listener ); };
+    };
+    const unlinkFunctions = [
+      linkProperty( this.lowShelfGainProperty, lowShelfFilter.gain ),
+      linkProperty( this.lowShelfFrequencyProperty, lowShelfFilter.frequency ),
+      linkProperty( this.midGainProperty, midFilter.gain ),
+      linkProperty( this.midFrequencyProperty, midFilter.frequency ),
+      linkProperty( this.highShelfGainProperty, highShelfFilter.gain ),
+      linkProperty( this.highShelfFrequencyProperty, highShelfFilter.frequency )
+    ];
+
+    // @private {function}
+    this.disposeOutputEqualizer = () => {
+      unlinkFunctions.forEach( unlink => unlink() );
+      _.values( this.presetFieldToPropertyMap ).forEach( property => property.dispose() );
+      lowShelfFilter.disconnect();
+      midFilter.disconnect();
+      highShelfFilter.disconnect();
+    };
+  }
+
+  /**
+   * Set the band Properties to the values for the specified preset.  The available presets are 'flat',
+   * 'laptop-speakers', 'headphones' and 'reduce-harsh-highs'.
+   * @param {string} presetName
+   * @public
+   */
+  setPreset( presetName ) {
+    assert && assert( PRESETS[ presetName ], 'no equalizer preset with name = ' + presetName );
+    const preset = PRESETS[ presetName ];
+    _.keys( this.presetFieldToPropertyMap ).forEach( presetField => {
+      const property = this.presetFieldToPropertyMap[ presetField ];
+      if ( preset.hasOwnProperty( presetField ) ) {
+        property.value = preset[ presetField ];
+      }
+      else {
+        property.reset();
+      }
+    } );
+  }
+
+  /**
+   * Restore the initial, flat, values of all bands.
+   * @public
+   */
+  reset() {
+    this.setPreset( 'flat' );
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    this.disposeOutputEqualizer();
+  }
+}
+
+// @public (read-only) {string[]} - names of the available presets
+OutputEqualizer.PRESET_NAMES = _.keys( PRESETS );
+
+tambo.register( 'OutputEqualizer', OutputEqualizer );
+
+export default OutputEqualizer;
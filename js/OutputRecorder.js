@@ -0,0 +1,262 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * OutputRecorder captures the sound that is passing through a point in the audio path and produces a WAV file from it.
+ * This is intended for capturing what a sim sounds like for demos, bug reports, and sound design reviews.  The sound
+ * that is to be recorded should be connected to the input node, which is a tap that has no effect on the sound.
+ *
+ * Two capture methods are supported.  The preferred one uses an audio worklet that collects the raw samples, which are
+ * then encoded directly.  On platforms without audio worklets, a MediaStreamAudioDestinationNode and a MediaRecorder
+ * are used instead, and the compressed recording is decoded and re-encoded as WAV when recording stops.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import merge from '../../phet-core/js/merge.js';
+import phetAudioContext from './phetAudioContext.js';
+import tambo from './tambo.js';
+import wavEncoder from './wavEncoder.js';
+
+// constants
+const CAPTURE_METHODS = [ 'auto', 'worklet', 'mediaStream' ];
+const PROCESSOR_NAME = 'tambo-output-recorder-processor';
+
+// Source for the audio worklet processor that posts each block of input samples to the main thread.  This is loaded
+// from a Blob URL so that no separate file needs to be served.
+const PROCESSOR_SOURCE = `
+class OutputRecorderProcessor extends AudioWorkletProcessor {
+  process( inputs ) {
+    const input = inputs[ 0 ];
+    if ( input.length > 0 ) {
+      this.port.postMessage( input.map( channelData => channelData.slice() ) );
+    }
+    return true;
+  }
+}
+registerProcessor( '${PROCESSOR_NAME}', OutputRecorderProcessor );
+`;
+
+class OutputRecorder {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {string} - method used to capture the sound, one of 'worklet', 'mediaStream', or 'auto', which uses the
+      // worklet if it is supported and the media stream otherwise
+      captureMethod: 'auto',
+
+      // {number} - number of channels that are recorded
+      numberOfChannels: 2,
+
+      // {AudioContext}
+      audioContext: phetAudioContext
+    }, options );
+
+    assert && assert(
+      _.includes( CAPTURE_METHODS, options.captureMethod ),
+      'invalid capture method: ' + options.captureMethod
+    );
+
+    // @private
+    this.audioContext = options.audioContext;
+    this.numberOfChannels = options.numberOfChannels;
+    this.captureMethod = options.captureMethod === 'auto' ?
+                         ( OutputRecorder.isWorkletSupported( this.audioContext ) ? 'worklet' : 'mediaStream' ) :
+                         options.captureMethod;
+
+    // @public (read-only) {GainNode} - node to which the sound that is to be recorded should be connected, this should
+    // NOT be connected to anything downstream
+    this.inputNode = this.audioContext.createGain();
+
+    // @public (read-only) {BooleanProperty} - true while recording is in progress
+    this.isRecordingProperty = new BooleanProperty( false );
+
+    // @private {Promise|null} - resolves when the worklet module has been loaded, null until it is first needed
+    this.workletModuleLoadedPromise = null;
+
+    // @private {AudioNode|null} - the node that is capturing the sound, only exists while recording
+    this.captureNode = null;
+
+    // @private {Array.<Float32Array[]>} - blocks of samples that have been received from the worklet, where each block
+    // has the data for each channel
+    this.recordedBlocks = [];
+
+    // @private {MediaRecorder|null} - recorder used for the media stream capture method, only exists while recording
+    this.mediaRecorder = null;
+
+    // @private {Blob[]} - chunks of compressed data that have been received from the media recorder
+    this.mediaRecorderChunks = [];
+  }
+
+  /**
+   * Start recording.  This is asynchronous because the capture node may need to be loaded before recording can start.
+   * @returns {Promise} - resolves when recording has started, rejects if recording is already in progress or isn't
+   * supported
+   * @public
+   */
+  startRecording() {
+    if ( this.isRecordingProperty.value ) {
+      return Promise.reject( new Error( 'recording is already in progress' ) );
+    }
+
+    const isCaptureMethodSupported = this.captureMethod === 'worklet' ?
+                                     OutputRecorder.isWorkletSupported( this.audioContext ) :
+                                     OutputRecorder.isMediaStreamSupported( this.audioContext );
+    if ( !isCaptureMethodSupported ) {
+      return Promise.reject( new Error( 'recording is not supported on this platform' ) );
+    }
+
+    this.isRecordingProperty.value = true;
+
+    if ( this.captureMethod === 'worklet' ) {
+      return this.loadWorkletModule().then( () => {
+        this.recordedBlocks = [];
+        this.captureNode = new window.AudioWorkletNode( this.audioContext, PROCESSOR_NAME, {
+          numberOfInputs: 1,
+          numberOfOutputs: 0,
+          channelCount: this.numberOfChannels,
+          channelCountMode: 'explicit'
+        } );
+        this.captureNode.port.onmessage = event => { this.recordedBlocks.push( event.data ); };
+        this.inputNode.connect( this.captureNode );
+      } ).catch( error => {
+        this.isRecordingProperty.value = false;
+        throw error;
+      } );
+    }
+    else {
+      this.mediaRecorderChunks = [];
+      this.captureNode = this.audioContext.createMediaStreamDestination();
+      this.captureNode.channelCount = this.numberOfChannels;
+      this.inputNode.connect( this.captureNode );
+      this.mediaRecorder = new window.MediaRecorder( this.captureNode.stream );
+      this.mediaRecorder.ondataavailable = event => { this.mediaRecorderChunks.push( event.data ); };
+      this.mediaRecorder.start();
+      return Promise.resolve();
+    }
+  }
+
+  /**
+   * Stop recording and get the recorded sound.
+   * @returns {Promise.<Blob>} - resolves with the recorded sound encoded as a WAV file, rejects if recording isn't in
+   * progress or hasn't finished starting
+   * @public
+   */
+  stopRecording() {
+    if ( !this.isRecordingProperty.value ) {
+      return Promise.reject( new Error( 'recording is not in progress' ) );
+    }
+    if ( !this.captureNode ) {
+      return Promise.reject( new Error( 'recording has not finished starting' ) );
+    }
+
+    this.inputNode.disconnect( this.captureNode );
+
+    let wavDataPromise;
+    if ( this.captureMethod === 'worklet' ) {
+      this.captureNode.port.onmessage = null;
+      const channelData = this.getRecordedChannelData();
+      wavDataPromise = Promise.resolve( wavEncoder.encode( channelData, this.audioContext.sampleRate ) );
+      this.recordedBlocks = [];
+    }
+    else {
+      const mediaRecorder = this.mediaRecorder;
+      wavDataPromise = new Promise( resolve => {
+        mediaRecorder.onstop = () => { resolve( new window.Blob( this.mediaRecorderChunks ) ); };
+        mediaRecorder.stop();
+      } ).then( compressedBlob => compressedBlob.arrayBuffer() )
+        .then( compressedData => this.audioContext.decodeAudioData( compressedData ) )
+        .then( audioBuffer => wavEncoder.encodeAudioBuffer( audioBuffer ) );
+      this.mediaRecorder = null;
+    }
+
+    this.captureNode = null;
+    this.isRecordingProperty.value = false;
+
+    return wavDataPromise.then( wavData => wavEncoder.createBlob( wavData ) );
+  }
+
+  /**
+   * Load the worklet module that contains the recording processor if it hasn't been loaded already.
+   * @returns {Promise}
+   * @private
+   */
+  loadWorkletModule() {
+    if ( !this.workletModuleLoadedPromise ) {
+      const moduleURL = window.URL.createObjectURL(
+        new window.Blob( [ PROCESSOR_SOURCE ], { type: 'application/javascript' } )
+      );
+      this.workletModuleLoadedPromise = this.audioContext.audioWorklet.addModule( moduleURL ).then( () => {
+        window.URL.revokeObjectURL( moduleURL );
+      } );
+    }
+    return this.workletModuleLoadedPromise;
+  }
+
+  /**
+   * Combine the blocks of samples that were received from the worklet into a single array of samples per channel.
+   * @returns {Float32Array[]}
+   * @private
+   */
+  getRecordedChannelData() {
+    const numberOfFrames = _.sumBy( this.recordedBlocks, block => block[ 0 ].length );
+    const channelData = _.times( this.numberOfChannels, () => new Float32Array( numberOfFrames ) );
+    let offset = 0;
+    this.recordedBlocks.forEach( block => {
+      channelData.forEach( ( data, channel ) => {
+
+        // the block can have fewer channels than were requested, e.g. if it was produced by a mono source
+        data.set( block[ Math.min( channel, block.length - 1 ) ], offset );
+      } );
+      offset += block[ 0 ].length;
+    } );
+    return channelData;
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    if ( this.isRecordingProperty.value && this.captureNode ) {
+      this.inputNode.disconnect( this.captureNode );
+      this.mediaRecorder && this.mediaRecorder.stop();
+    }
+    this.inputNode.disconnect();
+    this.isRecordingProperty.dispose();
+  }
+}
+
+/**
+ * Returns true if the audio worklet capture method can be used with the provided audio context.
+ * @param {AudioContext} audioContext
+ * @returns {boolean}
+ * @public
+ */
+OutputRecorder.isWorkletSupported = audioContext => !!( audioContext.audioWorklet && window.AudioWorkletNode );
+
+/**
+ * Returns true if the media stream capture method can be used with the provided audio context.
+ * @param {AudioContext} audioContext
+ * @returns {boolean}
+ * @public
+ */
+OutputRecorder.isMediaStreamSupported = audioContext => !!( audioContext.createMediaStreamDestination &&
+                                                            window.MediaRecorder );
+
+/**
+ * Returns true if either of the capture methods can be used with the provided audio context.
+ * @param {AudioContext} audioContext
+ * @returns {boolean}
+ * @public
+ */
+OutputRecorder.isSupported = audioContext => OutputRecorder.isWorkletSupported( audioContext ) ||
+                                             OutputRecorder.isMediaStreamSupported( audioContext );
+
+tambo.register( 'OutputRecorder', OutputRecorder );
+
+export default OutputRecorder;
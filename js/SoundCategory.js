@@ -0,0 +1,217 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * SoundCategory is a bus through which a group of sound generators are routed so that they can be controlled as a
+ * group, e.g. all of the user interface sounds.  Each category has a level and an enabled state, both of which are
+ * available as Properties, and a separate gain stage that the sound manager uses for ducking.  The output of each
+ * category is also monitored by a level meter.
+ *
+ * Sound generators connect to the input node and the output node is connected to the rest of the audio path, which can
+ * be the input node of a parent category when categories are nested.  Effects, such as a delay or a filter, can be
+ * inserted between the two, and these apply to all of the sounds in the category.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../axon/js/NumberProperty.js';
+import Property from '../../axon/js/Property.js';
+import Range from '../../dot/js/Range.js';
+import merge from '../../phet-core/js/merge.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import EffectsChain from './EffectsChain.js';
+import LevelMeter from './LevelMeter.js';
+import phetAudioContext from './phetAudioContext.js';
+import soundConstants from './soundConstants.js';
+import tambo from './tambo.js';
+
+// constants
+const DEFAULT_TIME_CONSTANT = soundConstants.DEFAULT_PARAM_CHANGE_TIME_CONSTANT;
+
+class SoundCategory {
+
+  /**
+   * @param {string} name
+   * @param {Object} [options]
+   */
+  constructor( name, options ) {
+
+    options = merge( {
+
+      // {number} - initial value for the level of this category, from 0 to 1
+      initialLevel: 1,
+
+      // {SoundCategory|null} - the category into which this one feeds, null if this is a top level category
+      parentCategory: null,
+
+      // {Array.<AudioNode|{inputNode:AudioNode, outputNode:AudioNode}>} - effects through which all sounds in this
+      // category pass, more can be added after construction, see addEffect
+      effects: [],
+
+      // {AudioContext} - audio context in which the audio nodes for this category are created
+      audioContext: phetAudioContext,
+
+      // {Tandem}
+      tandem: Tandem.OPTIONAL
+    }, options );
+
+    // @public (read-only) {string}
+    this.name = name;
+
+    // @public (read-only) {SoundCategory|null}
+    this.parentCategory = options.parentCategory;
+
+    // @private {AudioContext}
+    this.audioContext = options.audioContext;
+
+    // @public {NumberProperty} - output level for all sounds in this category
+    this.levelProperty = new NumberProperty( options.initialLevel, {
+      range: new Range( 0, 1 ),
+      tandem: options.tandem.createTandem( 'levelProperty' ),
+      phetioDocumentation: 'Output level for the sounds in the "' + name + '" category, where 0 is silent and 1 is ' +
+                           'full level.'
+    } );
+
+    // @public {BooleanProperty} - controls whether sounds in this category are produced at all
+    this.enabledProperty = new BooleanProperty( true, {
+      tandem: options.tandem.createTandem( 'enabledProperty' ),
+      phetioDocumentation: 'Controls whether the sounds in the "' + name + '" category are enabled.'
+    } );
+
+    // @public (read-only) {GainNode} - the node to which sound generators in this category should be connected
+    this.inputNode = this.audioContext.createGain();
+
+    // @private {EffectsChain} - insert chain of effects through which all sounds in this category pass
+    this.effectsChain = new EffectsChain( { effects: options.effects, audioContext: this.audioContext } );
+    this.inputNode.connect( this.effectsChain.inputNode );
+
+    // @private {GainNode} - gain stage used for ducking, which is kept separate so that it doesn't interfere with the
+    // level settings
+    this.duckingGainNode = this.audioContext.createGain();
+    this.effectsChain.outputNode.connect( this.duckingGainNode );
+
+    // @public (read-only) {AudioNode} - the node that should be connected to the rest of the audio path
+    this.outputNode = this.duckingGainNode;
+
+    // @public (read-only) {LevelMeter} - measures the level of the sound coming out of this category
+    this.levelMeter = new LevelMeter( {
+      audioContext: this.audioContext,
+      tandem: options.tandem.createTandem( 'levelMeter' )
+    } );
+    this.outputNode.connect( this.levelMeter.analyserNode );
+
+    // @public (read-only) {number} - the most recently set ducking level, see setDuckingLevel
+    this.duckingLevel = 1;
+
+    // smoothly change the gain when the level or the enabled state changes
+    const levelMultilink = Property.multilink( [ this.levelProperty, this.enabledProperty ], ( level, enabled ) => {
+      this.inputNode.gain.setTargetAtTime(
+        enabled ? level : 0,
+        this.audioContext.currentTime,
+        DEFAULT_TIME_CONSTANT
+      );
+    } );
+
+    // @private {function}
+    this.disposeSoundCategory = () => {
+      Property.unmultilink( levelMultilink );
+      this.levelProperty.dispose();
+      this.enabledProperty.dispose();
+      this.inputNode.disconnect();
+      this.effectsChain.dispose();
+      this.duckingGainNode.disconnect();
+      this.levelMeter.dispose();
+    };
+  }
+
+  /**
+   * Returns true if the provided category is an ancestor of this one, i.e. if this category feeds into it either
+   * directly or by way of other categories.
+   * @param {SoundCategory} category
+   * @returns {boolean}
+   * @public
+   */
+  isDescendantOf( category ) {
+    let ancestor = this.parentCategory;
+    while ( ancestor ) {
+      if ( ancestor === category ) {
+        return true;
+      }
+      ancestor = ancestor.parentCategory;
+    }
+    return false;
+  }
+
+  /**
+   * Returns true if the provided category is this one or is nested with this one, meaning that one feeds into the
+   * other.  Changes to the level of either of two related categories can affect the output of the other.
+   * @param {SoundCategory} category
+   * @returns {boolean}
+   * @public
+   */
+  isRelatedTo( category ) {
+    return category === this || this.isDescendantOf( category ) || category.isDescendantOf( this );
+  }
+
+  /**
+   * Add an effect, such as a delay or a filter, through which all sounds in this category will pass.  This can be done
+   * while sound is being produced.
+   * @param {AudioNode|{inputNode:AudioNode, outputNode:AudioNode}} effect
+   * @param {number} [index] - position in the chain of effects, defaults to the end
+   * @public
+   */
+  addEffect( effect, index ) {
+    this.effectsChain.addEffect( effect, index );
+  }
+
+  /**
+   * Remove an effect that was previously added, see addEffect.
+   * @param {AudioNode|{inputNode:AudioNode, outputNode:AudioNode}} effect
+   * @public
+   */
+  removeEffect( effect ) {
+    this.effectsChain.removeEffect( effect );
+  }
+
+  /**
+   * Move an effect to a different position in the chain of effects, see addEffect.
+   * @param {AudioNode|{inputNode:AudioNode, outputNode:AudioNode}} effect
+   * @param {number} index
+   * @public
+   */
+  moveEffect( effect, index ) {
+    this.effectsChain.moveEffect( effect, index );
+  }
+
+  /**
+   * Get the effects through which the sounds in this category pass, in order.
+   * @returns {Array.<AudioNode|{inputNode:AudioNode, outputNode:AudioNode}>}
+   * @public
+   */
+  getEffects() {
+    return this.effectsChain.getEffects();
+  }
+
+  /**
+   * Set the level to which this category is ducked.  This is intended to be used by the sound manager, and clients
+   * should generally use levelProperty to control the level of the category.
+   * @param {number} duckingLevel - from 0 to 1, where 1 means not ducked at all
+   * @param {number} timeConstant - time constant for the change, in seconds
+   * @public
+   */
+  setDuckingLevel( duckingLevel, timeConstant ) {
+    this.duckingGainNode.gain.setTargetAtTime( duckingLevel, this.audioContext.currentTime, timeConstant );
+    this.duckingLevel = duckingLevel;
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    this.disposeSoundCategory();
+  }
+}
+
+tambo.register( 'SoundCategory', SoundCategory );
+
+export default SoundCategory;
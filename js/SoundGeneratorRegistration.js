@@ -0,0 +1,114 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * SoundGeneratorRegistration is the handle that the sound manager returns when a sound generator is added to it.  It
+ * keeps track of the information that the sound manager needs in order to manage the sound generator, and it owns
+ * everything that the sound manager created for the sound generator, such as the enable control Properties that were
+ * added to it, the panner, and the listeners.  All of these are torn down when the registration is disposed, which
+ * happens when the sound generator is removed from the sound manager or is itself disposed.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import tambo from './tambo.js';
+
+class SoundGeneratorRegistration {
+
+  /**
+   * @param {SoundGenerator} soundGenerator
+   * @param {function(SoundGenerator)} removeSoundGenerator - function that removes the sound generator from the sound
+   * manager, which will in turn dispose this registration
+   */
+  constructor( soundGenerator, removeSoundGenerator ) {
+
+    // @public (read-only) {SoundGenerator}
+    this.soundGenerator = soundGenerator;
+
+    // @public (read-only) {string|null} - the sonification level and category that were specified when the sound
+    // generator was added, set by the sound manager
+    this.sonificationLevel = null;
+    this.categoryName = null;
+
+    // @public (read-only) {StereoPannerNode|null} - panner used for this sound generator, null if there isn't one
+    this.pannerNode = null;
+
+    // @public (read-only) {Node|null} - view node whose position controls the pan, null if panning is not based on
+    // view position
+    this.panningViewNode = null;
+
+    // @public {Trail|null} - trail from the root of the display to the panning view node, cached so that it doesn't
+    // need to be found on every frame, null if it hasn't been found or the node isn't uniquely in the display
+    this.panningTrail = null;
+
+    // @public {number} - most recently set pan value when panning is based on view position
+    this.viewPositionPan = 0;
+
+    // @public (read-only) {DisplayedProperty|null} - Property that is true when the associated view node is displayed,
+    // if there is one
+    this.displayedProperty = null;
+
+    // @public (read-only) {boolean} - true until this registration has been disposed
+    this.isRegistered = true;
+
+    // @private {function(SoundGenerator)}
+    this.removeSoundGenerator = removeSoundGenerator;
+
+    // @private {BooleanProperty[]} - enable control Properties that were added to the sound generator via this
+    // registration
+    this.enableControlProperties = [];
+
+    // @private {function[]} - functions that undo what was done when the sound generator was added, see addDisposer
+    this.disposers = [];
+  }
+
+  /**
+   * Add an enable control Property to the sound generator that will be removed when this registration is disposed.
+   * @param {BooleanProperty} enableControlProperty
+   * @public
+   */
+  addEnableControlProperty( enableControlProperty ) {
+    this.soundGenerator.addEnableControlProperty( enableControlProperty );
+    this.enableControlProperties.push( enableControlProperty );
+  }
+
+  /**
+   * Add a function that will be called when this registration is disposed, used to undo things like connections and
+   * listeners that were set up when the sound generator was added.  These are called in the reverse of the order in
+   * which they were added.
+   * @param {function} disposer
+   * @public
+   */
+  addDisposer( disposer ) {
+    this.disposers.push( disposer );
+  }
+
+  /**
+   * Remove the sound generator from the sound manager, which disposes this registration.
+   * @public
+   */
+  remove() {
+    if ( this.isRegistered ) {
+      this.removeSoundGenerator( this.soundGenerator );
+    }
+  }
+
+  /**
+   * Tear down everything that was created for the sound generator.  This is intended to be called by the sound
+   * manager, and clients should generally use remove instead.
+   * @public
+   */
+  dispose() {
+    assert && assert( this.isRegistered, 'registration has already been disposed' );
+    this.enableControlProperties.forEach( enableControlProperty => {
+      this.soundGenerator.removeEnableControlProperty( enableControlProperty );
+    } );
+    this.enableControlProperties.length = 0;
+    _.forEachRight( this.disposers, disposer => disposer() );
+    this.disposers.length = 0;
+    this.isRegistered = false;
+  }
+}
+
+tambo.register( 'SoundGeneratorRegistration', SoundGeneratorRegistration );
+
+export default SoundGeneratorRegistration;
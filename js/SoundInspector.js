@@ -0,0 +1,347 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * SoundInspector is a developer tool that shows an overlay with a live list of the sound generators that have been
+ * added to the sound manager.  Each entry flashes when its sound generator plays, shows the output level, the playback
+ * rate (where applicable), and the reasons why the sound generator is disabled, if it is, and has controls for soloing
+ * and muting.  There is also a control for recording the sound output, which is downloaded as a WAV file when the
+ * recording is stopped.  The overlay is shown in its own Scenery display so that it doesn't affect the sim's scene
+ * graph.  It is turned on using the soundInspector query parameter.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import Property from '../../axon/js/Property.js';
+import timer from '../../axon/js/timer.js';
+import Utils from '../../dot/js/Utils.js';
+import PhetFont from '../../scenery-phet/js/PhetFont.js';
+import Display from '../../scenery/js/display/Display.js';
+import FireListener from '../../scenery/js/listeners/FireListener.js';
+import HBox from '../../scenery/js/nodes/HBox.js';
+import Node from '../../scenery/js/nodes/Node.js';
+import Rectangle from '../../scenery/js/nodes/Rectangle.js';
+import Text from '../../scenery/js/nodes/Text.js';
+import VBox from '../../scenery/js/nodes/VBox.js';
+import DisplayedProperty from '../../scenery/js/util/DisplayedProperty.js';
+import tambo from './tambo.js';
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 14, weight: 'bold' } );
+const ENTRY_FONT = new PhetFont( 11 );
+const MARGIN = 6;
+const FLASH_DECAY_TIME = 0.5; // in seconds, time for the highlight that indicates playing to fade out
+const TEXT_UPDATE_PERIOD = 0.1; // in seconds, how often the text describing the state of the generators is updated
+const RECORDING_FILE_NAME = 'sound-recording.wav';
+
+/**
+ * helper function that downloads a recording of the sound output as a file
+ * @param {Blob} wavBlob
+ */
+function downloadRecording( wavBlob ) {
+  const url = window.URL.createObjectURL( wavBlob );
+  const link = document.createElement( 'a' );
+  link.href = url;
+  link.download = RECORDING_FILE_NAME;
+  link.click();
+
+  // give the browser time to start the download before releasing the data
+  window.setTimeout( () => window.URL.revokeObjectURL( url ), 1000 );
+}
+
+class SoundInspector {
+
+  /**
+   * @param {SoundManager} soundManager - the sound manager whose sound generators should be inspected
+   */
+  constructor( soundManager ) {
+
+    // @private {SoundManager}
+    this.soundManager = soundManager;
+
+    // @private {Map.<SoundGenerator,InspectorEntry>}
+    this.entries = new Map();
+
+    // @private {VBox} - contains the nodes for the entries
+    this.entriesBox = new VBox( { align: 'left', spacing: 2 } );
+
+    // a control for recording the sound output, the recording is downloaded when the control is turned off
+    const recordingProperty = new BooleanProperty( false );
+    let recordingStartedPromise = null;
+    recordingProperty.lazyLink( recording => {
+      if ( recording ) {
+        recordingStartedPromise = soundManager.startRecording().catch( error => {
+          console.warn( 'unable to record sound: ' + error.message );
+          recordingStartedPromise = null;
+          recordingProperty.value = false;
+        } );
+      }
+      else if ( recordingStartedPromise ) {
+        recordingStartedPromise.then( () => {
+          if ( soundManager.isRecording() ) {
+            return soundManager.stopRecording().then( downloadRecording );
+          }
+          return null;
+        } ).catch( error => {
+          console.warn( 'unable to record sound: ' + error.message );
+        } );
+        recordingStartedPromise = null;
+      }
+    } );
+
+    const titleBox = new HBox( {
+      children: [
+        new Text( 'Sound Inspector', { font: TITLE_FONT } ),
+        new ToggleTextNode( 'Record', recordingProperty, 'red' )
+      ],
+      spacing: 10
+    } );
+    const contentBox = new VBox( { children: [ titleBox, this.entriesBox ], align: 'left', spacing: 4 } );
+    const background = new Rectangle( 0, 0, 1, 1, { fill: 'rgba( 255, 255, 255, 0.9 )', stroke: 'gray' } );
+    contentBox.boundsProperty.link( bounds => {
+      background.setRect( 0, 0, bounds.width + 2 * MARGIN, bounds.height + 2 * MARGIN );
+      contentBox.leftTop = background.leftTop.plusXY( MARGIN, MARGIN );
+    } );
+
+    // @private {Node}
+    this.rootNode = new Node( { children: [ background, contentBox ] } );
+
+    // @private {Display} - a display separate from the sim's so that the overlay doesn't interfere with the sim
+    this.display = new Display( this.rootNode, {
+      accessibility: false,
+      listenToOnlyElement: true
+    } );
+    this.display.domElement.style.position = 'absolute';
+    this.display.domElement.style.left = '0';
+    this.display.domElement.style.top = '0';
+    this.display.domElement.style.zIndex = '10000';
+    document.body.appendChild( this.display.domElement );
+    this.display.initializeEvents();
+
+    // add entries for the sound generators that are already present and keep the list up to date
+    soundManager.getSoundGeneratorDescriptions().forEach( description => {
+      this.addEntry( description.soundGenerator );
+    } );
+    soundManager.soundGeneratorAddedEmitter.addListener( soundGenerator => this.addEntry( soundGenerator ) );
+    soundManager.soundGeneratorRemovedEmitter.addListener( soundGenerator => this.removeEntry( soundGenerator ) );
+
+    // update the overlay over time
+    let timeSinceTextUpdate = 0;
+    timer.addListener( dt => {
+      timeSinceTextUpdate += dt;
+      const updateText = timeSinceTextUpdate >= TEXT_UPDATE_PERIOD;
+      if ( updateText ) {
+        timeSinceTextUpdate = 0;
+      }
+      this.entries.forEach( entry => entry.step( dt, updateText ) );
+      this.display.setWidthHeight( Math.ceil( this.rootNode.width ), Math.ceil( this.rootNode.height ) );
+      this.display.updateDisplay();
+    } );
+  }
+
+  /**
+   * @param {SoundGenerator} soundGenerator
+   * @private
+   */
+  addEntry( soundGenerator ) {
+    const entry = new InspectorEntry( soundGenerator, this.soundManager, () => this.updateSoloAndMute() );
+    this.entries.set( soundGenerator, entry );
+    this.entriesBox.addChild( entry.node );
+    this.updateSoloAndMute();
+  }
+
+  /**
+   * @param {SoundGenerator} soundGenerator
+   * @private
+   */
+  removeEntry( soundGenerator ) {
+    const entry = this.entries.get( soundGenerator );
+    if ( entry ) {
+      this.entriesBox.removeChild( entry.node );
+      entry.dispose();
+      this.entries.delete( soundGenerator );
+      this.updateSoloAndMute();
+    }
+  }
+
+  /**
+   * Enable or disable the sound generators based on the state of the solo and mute controls.  If any sound generators
+   * are soloed, only those are enabled.
+   * @private
+   */
+  updateSoloAndMute() {
+    const entries = Array.from( this.entries.values() );
+    const anySoloed = _.some( entries, entry => entry.soloedProperty.value );
+    entries.forEach( entry => {
+      entry.inspectorEnabledProperty.value = !entry.mutedProperty.value && ( !anySoloed || entry.soloedProperty.value );
+    } );
+  }
+}
+
+/**
+ * inner type for the information and UI for a single sound generator
+ */
+class InspectorEntry {
+
+  /**
+   * @param {SoundGenerator} soundGenerator
+   * @param {SoundManager} soundManager
+   * @param {function} soloOrMuteChanged - called when the solo or mute state changes
+   */
+  constructor( soundGenerator, soundManager, soloOrMuteChanged ) {
+
+    // @public (read-only) {BooleanProperty}
+    this.soloedProperty = new BooleanProperty( false );
+    this.mutedProperty = new BooleanProperty( false );
+
+    // @public {BooleanProperty} - enable control that is added to the sound generator so that the inspector can mute it
+    this.inspectorEnabledProperty = new BooleanProperty( true );
+    soundGenerator.addEnableControlProperty( this.inspectorEnabledProperty );
+
+    // @private
+    this.soundGenerator = soundGenerator;
+    this.soundManager = soundManager;
+
+    // @private {number} - opacity of the highlight that indicates that the sound generator has played
+    this.flashLevel = 0;
+
+    const highlight = new Rectangle( 0, 0, 1, 1, { fill: 'yellow', opacity: 0 } );
+    const idText = new Text( soundGenerator.id + ' (' + soundGenerator.constructor.name + ')', { font: ENTRY_FONT } );
+    const stateText = new Text( '', { font: ENTRY_FONT } );
+    const soloToggle = new ToggleTextNode( 'S', this.soloedProperty, 'orange' );
+    const muteToggle = new ToggleTextNode( 'M', this.mutedProperty, 'red' );
+    const contentBox = new HBox( {
+      children: [ soloToggle, muteToggle, new VBox( { children: [ idText, stateText ], align: 'left' } ) ],
+      spacing: 6
+    } );
+    contentBox.boundsProperty.link( bounds => { highlight.rectBounds = bounds; } );
+
+    // @public (read-only) {Node}
+    this.node = new Node( { children: [ highlight, contentBox ] } );
+
+    // @private
+    this.highlight = highlight;
+    this.stateText = stateText;
+
+    // flash when sound is produced
+    const soundEventListener = soundEvent => {
+      if ( soundEvent.eventType !== 'stop' ) {
+        this.flashLevel = 1;
+      }
+    };
+    soundGenerator.soundEventEmitter.addListener( soundEventListener );
+
+    const soloOrMuteMultilink = Property.lazyMultilink(
+      [ this.soloedProperty, this.mutedProperty ],
+      soloOrMuteChanged
+    );
+
+    // @private {function}
+    this.disposeInspectorEntry = () => {
+      soundGenerator.soundEventEmitter.removeListener( soundEventListener );
+      Property.unmultilink( soloOrMuteMultilink );
+      soundGenerator.removeEnableControlProperty( this.inspectorEnabledProperty );
+      soloToggle.dispose();
+      muteToggle.dispose();
+    };
+  }
+
+  /**
+   * @param {number} dt
+   * @param {boolean} updateText - whether to update the text that describes the state of the sound generator
+   * @public
+   */
+  step( dt, updateText ) {
+    this.flashLevel = Math.max( this.flashLevel - dt / FLASH_DECAY_TIME, 0 );
+    this.highlight.opacity = this.flashLevel;
+    if ( updateText ) {
+      let stateString = 'level: ' + Utils.toFixed( this.soundGenerator.outputLevel, 2 );
+      if ( typeof this.soundGenerator.playbackRate === 'number' ) {
+        stateString += ', rate: ' + Utils.toFixed( this.soundGenerator.playbackRate, 2 );
+      }
+      if ( this.soundGenerator.categoryName ) {
+        stateString += ', category: ' + this.soundGenerator.categoryName;
+      }
+      const disabledReasons = this.getDisabledReasons();
+      if ( disabledReasons.length > 0 ) {
+        stateString += ', disabled: ' + disabledReasons.join( '; ' );
+      }
+      if ( this.stateText.text !== stateString ) {
+        this.stateText.text = stateString;
+        this.stateText.fill = disabledReasons.length > 0 ? 'red' : 'black';
+      }
+    }
+  }
+
+  /**
+   * Get descriptions of the reasons why the sound generator is disabled, empty if it isn't.
+   * @returns {string[]}
+   * @private
+   */
+  getDisabledReasons() {
+    return this.soundGenerator.getEnableControlProperties()
+      .filter( enableControlProperty => !enableControlProperty.value )
+      .map( enableControlProperty => {
+        return enableControlProperty === this.soundManager.enabledProperty ? 'sound off' :
+               enableControlProperty === this.soundManager.soundNotSuppressedProperty ? 'sounds suppressed' :
+               _.includes( _.values( this.soundManager.sonificationLevelEnabledProperties ), enableControlProperty ) ?
+               'sonification level not selected' :
+               enableControlProperty === this.soundGenerator.locallyEnabledProperty ? 'locallyEnabled false' :
+               enableControlProperty === this.inspectorEnabledProperty ? 'muted by inspector' :
+               enableControlProperty instanceof DisplayedProperty ? 'associated view node not displayed' :
+               'enable control Property false';
+      } );
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    this.disposeInspectorEntry();
+  }
+}
+
+/**
+ * inner type for a simple toggle button that shows a short label, used instead of a checkbox from sun because the sun
+ * components produce sound, which would create a circular dependency with the sound manager
+ */
+class ToggleTextNode extends Rectangle {
+
+  /**
+   * @param {string} label
+   * @param {BooleanProperty} property
+   * @param {ColorDef} activeFill - fill used when the Property is true
+   */
+  constructor( label, property, activeFill ) {
+
+    const text = new Text( label, { font: TITLE_FONT } );
+    super( 0, 0, text.width + 6, text.height + 2, { stroke: 'gray', cursor: 'pointer' } );
+    text.center = this.center;
+    this.addChild( text );
+
+    const fireListener = new FireListener( { fire: () => { property.value = !property.value; } } );
+    this.addInputListener( fireListener );
+
+    const updateFill = value => { this.fill = value ? activeFill : 'white'; };
+    property.link( updateFill );
+
+    // @private {function}
+    this.disposeToggleTextNode = () => {
+      property.unlink( updateFill );
+      fireListener.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeToggleTextNode();
+    super.dispose();
+  }
+}
+
+tambo.register( 'SoundInspector', SoundInspector );
+
+export default SoundInspector;
@@ -1,7 +1,8 @@
 // Copyright 2018-2020, University of Colorado Boulder
 
 /**
- * enum for the different sound level settings
+ * enum for the built-in sound level settings, sims can define additional levels, see the sonificationLevels option in
+ * soundManager.initialize
  *
  * @author John Blanco (PhET Interactive Simulations)
  */
@@ -0,0 +1,117 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * SoundPreferences saves the values of a set of Properties, such as whether sound is enabled and the output levels,
+ * to the browser's local storage so that they can be restored the next time a sim is launched.  Properties are added
+ * with a name that is used as the key for the value within the stored preferences, and if a value was previously
+ * stored for that name it is restored when the Property is added.
+ *
+ * Local storage may be unavailable, e.g. in some private browsing modes, in which case the preferences are simply not
+ * persisted.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import merge from '../../phet-core/js/merge.js';
+import tambo from './tambo.js';
+
+class SoundPreferences {
+
+  /**
+   * @param {string} storageKey - key under which the preferences are stored in local storage, sims that use the same
+   * key share preferences
+   */
+  constructor( storageKey ) {
+
+    // @private {string}
+    this.storageKey = storageKey;
+
+    // @private {Object} - the stored preferences, a map of names to values
+    this.preferences = {};
+
+    // @private {Object} - map of names to the Property and listener for each Property whose value is being saved
+    this.propertyEntries = {};
+
+    // get any previously stored preferences
+    try {
+      const storedPreferences = window.localStorage.getItem( storageKey );
+      if ( storedPreferences ) {
+        this.preferences = JSON.parse( storedPreferences );
+      }
+    }
+    catch( error ) {
+      console.warn( 'unable to load sound preferences from local storage: ' + error );
+    }
+  }
+
+  /**
+   * Add a Property whose value should be persisted.  If a valid value was previously stored for this Property, it is
+   * restored unless otherwise specified in the options.
+   * @param {string} name - key for this Property's value within the preferences
+   * @param {Property} property
+   * @param {Object} [options]
+   * @public
+   */
+  addProperty( name, property, options ) {
+
+    assert && assert( !this.propertyEntries[ name ], 'Property already added for name: ' + name );
+
+    options = merge( {
+
+      // {boolean} - whether a previously stored value should be restored, this is generally set to false when the
+      // value has been explicitly specified, e.g. by a query parameter
+      restore: true,
+
+      // {function(*):boolean|null} - additional validation for stored values, used for Properties whose valid values
+      // can't be determined from the Property itself
+      isValidValue: null
+    }, options );
+
+    if ( options.restore && this.preferences.hasOwnProperty( name ) ) {
+      const storedValue = this.preferences[ name ];
+      const isValid = typeof storedValue === typeof property.value &&
+                      ( !property.range || property.range.contains( storedValue ) ) &&
+                      ( !options.isValidValue || options.isValidValue( storedValue ) );
+      if ( isValid ) {
+        property.value = storedValue;
+      }
+    }
+
+    // only save changes, so that values that were set some other way, such as through query parameters, aren't stored
+    const listener = value => {
+      this.preferences[ name ] = value;
+      this.save();
+    };
+    property.lazyLink( listener );
+    this.propertyEntries[ name ] = { property: property, listener: listener };
+  }
+
+  /**
+   * Stop persisting the value of the Property with the provided name.  The most recently stored value is retained.
+   * @param {string} name
+   * @public
+   */
+  removeProperty( name ) {
+    const propertyEntry = this.propertyEntries[ name ];
+    assert && assert( propertyEntry, 'no Property added for name: ' + name );
+    propertyEntry.property.lazyUnlink( propertyEntry.listener );
+    delete this.propertyEntries[ name ];
+  }
+
+  /**
+   * Write the preferences to local storage.
+   * @private
+   */
+  save() {
+    try {
+      window.localStorage.setItem( this.storageKey, JSON.stringify( this.preferences ) );
+    }
+    catch( error ) {
+      console.warn( 'unable to save sound preferences to local storage: ' + error );
+    }
+  }
+}
+
+tambo.register( 'SoundPreferences', SoundPreferences );
+
+export default SoundPreferences;
@@ -54,6 +54,39 @@ const SoundUtils = {
       soundStart: _.min( soundStartIndexes ) / sampleRate,
       soundEnd: _.max( soundEndIndexes ) / sampleRate
     };
+  },
+
+  /**
+   * calculate the root-mean-square value of a set of sound samples, which is a good indicator of perceived loudness
+   * {Float32Array} samples
+   * @returns {number}
+   */
+  calculateRms: samples => {
+    let sumOfSquares = 0;
+    for ( let i = 0; i < samples.length; i++ ) {
+      sumOfSquares += samples[ i ] * samples[ i ];
+    }
+    return samples.length > 0 ? Math.sqrt( sumOfSquares / samples.length ) : 0;
+  },
+
+  /**
+   * Create a stereo impulse response for a reverb by synthesizing exponentially decaying noise.  This is a simple way
+   * to approximate the reverberation of spaces for which no recorded impulse response is available.
+   * {AudioContext} audioContext
+   * {number} duration - length of the impulse response, in seconds
+   * {number} decay - rate at which the noise decays, larger numbers decay more quickly
+   * @returns {AudioBuffer}
+   */
+  createSynthesizedImpulseResponse: ( audioContext, duration, decay ) => {
+    const length = Math.round( duration * audioContext.sampleRate );
+    const impulseResponse = audioContext.createBuffer( 2, length, audioContext.sampleRate );
+    for ( let channelNumber = 0; channelNumber < 2; channelNumber++ ) {
+      const channelData = impulseResponse.getChannelData( channelNumber );
+      for ( let i = 0; i < length; i++ ) {
+        channelData[ i ] = ( phet.joist.random.nextDouble() * 2 - 1 ) * Math.pow( 1 - i / length, decay );
+      }
+    }
+    return impulseResponse;
   }
 };
 
@@ -24,7 +24,12 @@ const TamboQueryParameters = QueryStringMachine.getAll( {
 
   // Enable logging of gain parameters, which can change over time and whose behavior seems to vary between browsers.
   // This can be useful for debugging.  This is used in conjunction with soundManager.logGain.
-  gainLoggingEnabled: { type: 'flag' }
+  gainLoggingEnabled: { type: 'flag' },
+
+  // Show an overlay that lists the sound generators that have been added to the sound manager along with information
+  // about their state, such as whether they are enabled and, if not, why not.  This is intended for use by developers
+  // who are trying to figure out why a sound is or isn't playing.
+  soundInspector: { type: 'flag' }
 } );
 
 tambo.register( 'TamboQueryParameters', TamboQueryParameters );
@@ -0,0 +1,255 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * VoiceManager keeps track of the "voices", i.e. individual sound sources such as buffer source nodes or oscillators,
+ * that the sound generators are using, and limits how many can be active at once.  This is done because creating
+ * large numbers of simultaneous sources can cause glitches and dropouts on low-end devices.
+ *
+ * Each voice has a priority.  When the maximum number of voices is active and a new voice is requested, a voice with a
+ * priority that is lower than or equal to that of the requested one is "stolen", meaning that it is faded out quickly
+ * and stopped so that the new voice can take its place.  If no voice can be stolen, the request is denied.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import merge from '../../phet-core/js/merge.js';
+import phetAudioContext from './phetAudioContext.js';
+import tambo from './tambo.js';
+
+// constants
+const STEALING_POLICIES = [ 'oldest', 'quietest' ];
+
+class VoiceManager {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {number} - maximum number of voices that can be active at once
+      maxVoices: 32,
+
+      // {string} - Policy used to decide which voice to steal when more than one of the lowest priority voices is
+      // active.  Valid values are 'oldest' and 'quietest'.
+      stealingPolicy: 'oldest',
+
+      // {number} - time, in seconds, over which a stolen voice is faded out, needs to be long enough to avoid clicks
+      stealFadeTime: 0.02,
+
+      // {AudioContext}
+      audioContext: phetAudioContext
+    }, options );
+
+    assert && assert( options.maxVoices > 0, 'maxVoices must be positive' );
+    assert && assert(
+      _.includes( STEALING_POLICIES, options.stealingPolicy ),
+      'invalid stealing policy: ' + options.stealingPolicy
+    );
+
+    // @private
+    this._maxVoices = options.maxVoices;
+    this.stealingPolicy = options.stealingPolicy;
+    this.stealFadeTime = options.stealFadeTime;
+    this.audioContext = options.audioContext;
+
+    // @private {Voice[]} - voices that are currently active, in the order in which they were allocated
+    this.activeVoices = [];
+  }
+
+  /**
+   * Request a voice.  If the max number of voices is already active, a voice will be stolen if possible.
+   * @param {SoundGenerator} soundGenerator - the sound generator that is requesting the voice
+   * @param {number} priority - higher values are more important
+   * @param {Object} [options]
+   * @returns {Voice|null} - the allocated voice, or null if no voice was available
+   * @public
+   */
+  allocateVoice( soundGenerator, priority, options ) {
+
+    options = merge( {
+
+      // {number|null} - audio context time at which the voice will end on its own, null if the voice will be released
+      // explicitly, e.g. when a source node fires its onended event
+      endTime: null,
+
+      // {function():number} - a function that returns the current level of the voice, used by the 'quietest' policy
+      getLevel: () => soundGenerator.outputLevel,
+
+      // {function(fadeTime:number)} - a function that fades out and stops the voice when it is stolen
+      steal: _.noop
+    }, options );
+
+    this.pruneEndedVoices();
+
+    if ( this.activeVoices.length >= this._maxVoices ) {
+      const voiceToSteal = this.selectVoiceToSteal( priority );
+      if ( voiceToSteal ) {
+        this.stealVoice( voiceToSteal );
+      }
+      else {
+
+        // there are no voices available for a request with this priority
+        return null;
+      }
+    }
+
+    const voice = new Voice( this, soundGenerator, priority, this.audioContext.currentTime, options );
+    this.activeVoices.push( voice );
+    return voice;
+  }
+
+  /**
+   * Release a voice, which makes it available for use by other sound sources.  This is generally invoked via
+   * Voice.release.
+   * @param {Voice} voice
+   * @public
+   */
+  releaseVoice( voice ) {
+    const index = this.activeVoices.indexOf( voice );
+    if ( index >= 0 ) {
+      this.activeVoices.splice( index, 1 );
+    }
+  }
+
+  /**
+   * Release all voices associated with the provided sound generator without stopping them, generally used when the
+   * sound generator is no longer being managed.
+   * @param {SoundGenerator} soundGenerator
+   * @public
+   */
+  releaseVoicesForSoundGenerator( soundGenerator ) {
+    this.activeVoices = this.activeVoices.filter( voice => voice.soundGenerator !== soundGenerator );
+  }
+
+  /**
+   * Returns true if the provided sound generator has any active voices, meaning that it is producing sound.
+   * @param {SoundGenerator} soundGenerator
+   * @returns {boolean}
+   * @public
+   */
+  hasActiveVoices( soundGenerator ) {
+    this.pruneEndedVoices();
+    return _.some( this.activeVoices, voice => voice.soundGenerator === soundGenerator );
+  }
+
+  /**
+   * Set the maximum number of voices that can be active at once.  If more than this number are active, the excess
+   * voices are stolen.
+   * @param {number} maxVoices
+   * @public
+   */
+  setMaxVoices( maxVoices ) {
+    assert && assert( maxVoices > 0, 'maxVoices must be positive' );
+    this._maxVoices = maxVoices;
+    this.pruneEndedVoices();
+    while ( this.activeVoices.length > this._maxVoices ) {
+      this.stealVoice( this.selectVoiceToSteal( Number.POSITIVE_INFINITY ) );
+    }
+  }
+
+  set maxVoices( maxVoices ) { this.setMaxVoices( maxVoices ); }
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getMaxVoices() {
+    return this._maxVoices;
+  }
+
+  get maxVoices() { return this.getMaxVoices(); }
+
+  /**
+   * Get the number of voices that are currently active.
+   * @returns {number}
+   * @public
+   */
+  getNumberOfActiveVoices() {
+    this.pruneEndedVoices();
+    return this.activeVoices.length;
+  }
+
+  get numberOfActiveVoices() { return this.getNumberOfActiveVoices(); }
+
+  /**
+   * Choose the voice that will be stolen to make room for one with the provided priority.  Voices with lower priority
+   * are chosen first, and the stealing policy is used to choose between voices with the same priority.
+   * @param {number} priority
+   * @returns {Voice|null} - null if there are no voices with a priority lower than or equal to the provided one
+   * @private
+   */
+  selectVoiceToSteal( priority ) {
+    const candidates = this.activeVoices.filter( voice => voice.priority <= priority );
+    if ( candidates.length === 0 ) {
+      return null;
+    }
+    const lowestPriority = _.min( candidates.map( voice => voice.priority ) );
+    const lowestPriorityCandidates = candidates.filter( voice => voice.priority === lowestPriority );
+    return this.stealingPolicy === 'oldest' ?
+           _.minBy( lowestPriorityCandidates, voice => voice.startTime ) :
+           _.minBy( lowestPriorityCandidates, voice => voice.getLevel() );
+  }
+
+  /**
+   * Steal a voice, which means fading it out, stopping it, and removing it from the list of active voices.
+   * @param {Voice} voice
+   * @private
+   */
+  stealVoice( voice ) {
+    this.releaseVoice( voice );
+    voice.steal( this.stealFadeTime );
+  }
+
+  /**
+   * Remove voices that have passed their end time from the list of active voices.
+   * @private
+   */
+  pruneEndedVoices() {
+    const now = this.audioContext.currentTime;
+    this.activeVoices = this.activeVoices.filter( voice => voice.endTime === null || voice.endTime > now );
+  }
+}
+
+/**
+ * inner type that represents a single active voice, see VoiceManager.allocateVoice
+ */
+class Voice {
+
+  /**
+   * @param {VoiceManager} voiceManager
+   * @param {SoundGenerator} soundGenerator
+   * @param {number} priority
+   * @param {number} startTime - audio context time at which the voice was allocated
+   * @param {Object} options - see VoiceManager.allocateVoice
+   */
+  constructor( voiceManager, soundGenerator, priority, startTime, options ) {
+
+    // @public (read-only)
+    this.soundGenerator = soundGenerator;
+    this.priority = priority;
+    this.startTime = startTime;
+    this.endTime = options.endTime;
+    this.getLevel = options.getLevel;
+    this.steal = options.steal;
+
+    // @private
+    this.voiceManager = voiceManager;
+  }
+
+  /**
+   * release this voice, should be called when the sound source that is using it has stopped
+   * @public
+   */
+  release() {
+    this.voiceManager.releaseVoice( this );
+  }
+}
+
+// static value that is used in place of a voice for sound generators that aren't managed by a voice manager
+VoiceManager.UNMANAGED_VOICE = { release() {} };
+
+tambo.register( 'VoiceManager', VoiceManager );
+
+export default VoiceManager;
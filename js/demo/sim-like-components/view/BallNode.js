@@ -37,9 +37,10 @@ class BallNode extends Circle {
     this.wallContactSoundClip = new SoundClip( wallContactSound, { initialOutputLevel: 0.3 } );
     this.ceilingFloorContactSoundClip = new SoundClip( ceilingFloorContactSound, { initialOutputLevel: 0.3 } );
 
-    // add the sound generators
-    soundManager.addSoundGenerator( this.wallContactSoundClip );
-    soundManager.addSoundGenerator( this.ceilingFloorContactSoundClip );
+    // add the sound generators, panned so that the bounces seem to come from wherever the ball is on the screen
+    const soundGeneratorOptions = { associatedViewNode: this, panFromViewPosition: true };
+    soundManager.addSoundGenerator( this.wallContactSoundClip, soundGeneratorOptions );
+    soundManager.addSoundGenerator( this.ceilingFloorContactSoundClip, soundGeneratorOptions );
 
     // play bounces when the ball bounces
     const bounceListener = bounceSurface => {
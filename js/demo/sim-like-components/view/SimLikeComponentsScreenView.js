@@ -7,7 +7,6 @@
  */
 
 import BooleanProperty from '../../../../../axon/js/BooleanProperty.js';
-import DerivedProperty from '../../../../../axon/js/DerivedProperty.js';
 import NumberProperty from '../../../../../axon/js/NumberProperty.js';
 import Property from '../../../../../axon/js/Property.js';
 import Dimension2 from '../../../../../dot/js/Dimension2.js';
@@ -29,6 +28,7 @@ import sineSound from '../../../../sounds/220hz-saturated-sine-loop_mp3.js';
 import stringSound1 from '../../../../sounds/strings-loop-middle-c-oscilloscope_mp3.js';
 import windSound2 from '../../../../sounds/winds-loop-c3-oscilloscope_mp3.js';
 import windSound1 from '../../../../sounds/winds-loop-middle-c-oscilloscope_mp3.js';
+import phetAudioContext from '../../../phetAudioContext.js';
 import ContinuousPropertySoundGenerator from '../../../sound-generators/ContinuousPropertySoundGenerator.js';
 import PitchedPopGenerator from '../../../sound-generators/PitchedPopGenerator.js';
 import soundManager from '../../../soundManager.js';
@@ -83,14 +83,11 @@ class SimLikeComponentsScreenView extends ScreenView {
       model.boxOfBalls.balls.addItemRemovedListener( removalListener );
     } );
 
-    // create an inverted version of the reset-in-progress Property, used to mute sounds during reset
-    const resetNotInProgressProperty = new DerivedProperty(
-      [ model.resetInProgressProperty ],
-      resetInProgress => !resetInProgress
-    );
+    // suppress sounds during reset
+    soundManager.addSuppressingProperty( model.resetInProgressProperty );
 
     // generate sound when balls are added or removed
-    const pitchedPopGenerator = new PitchedPopGenerator( { enableControlProperties: [ resetNotInProgressProperty ] } );
+    const pitchedPopGenerator = new PitchedPopGenerator();
     soundManager.addSoundGenerator( pitchedPopGenerator );
     model.boxOfBalls.balls.lengthProperty.lazyLink( numBalls => {
       pitchedPopGenerator.playPop( numBalls / MAX_BALLS );
@@ -130,11 +127,30 @@ class SimLikeComponentsScreenView extends ScreenView {
       } );
     this.addChild( ballCountSpinner );
 
+    // add a checkbox that inserts a low-pass filter into the pop sound's effects chain, which can be done while sounds
+    // are being played
+    const popFilterEnabledProperty = new BooleanProperty( false );
+    const popFilter = phetAudioContext.createBiquadFilter();
+    popFilter.type = 'lowpass';
+    popFilter.frequency.value = 800;
+    popFilterEnabledProperty.lazyLink( popFilterEnabled => {
+      if ( popFilterEnabled ) {
+        pitchedPopGenerator.addEffect( popFilter );
+      }
+      else {
+        pitchedPopGenerator.removeEffect( popFilter );
+      }
+    } );
+    this.addChild( new Checkbox( new Text( 'Filter Pops', { font: FONT } ), popFilterEnabledProperty, {
+      centerX: ballCountSpinner.centerX,
+      top: ballCountSpinner.bottom + 25
+    } ) );
+
     // Creates a panel that demonstrates a ContinuousPropertySoundGenerator
     const createTester = ( sound, max ) => {
       const numberProperty = new NumberProperty( 5 );
       const range = new Range( 1, 10 );
-      const continuousPropertySoundGenerator = new ContinuousPropertySoundGenerator( numberProperty, sound, range, new BooleanProperty( false ), {} );
+      const continuousPropertySoundGenerator = new ContinuousPropertySoundGenerator( numberProperty, sound, range, null, {} );
       soundManager.addSoundGenerator( continuousPropertySoundGenerator );
       const isOscillatingProperty = new BooleanProperty( false );
       let phase = 0;
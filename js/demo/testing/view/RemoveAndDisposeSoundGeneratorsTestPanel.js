@@ -9,6 +9,7 @@
 import ObservableArray from '../../../../../axon/js/ObservableArray.js';
 import Property from '../../../../../axon/js/Property.js';
 import timer from '../../../../../axon/js/timer.js';
+import Utils from '../../../../../dot/js/Utils.js';
 import merge from '../../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
 import PhetFont from '../../../../../scenery-phet/js/PhetFont.js';
@@ -31,6 +32,8 @@ import tambo from '../../../tambo.js';
 const BUTTON_FONT = new PhetFont( 18 );
 const COMBO_BOX_FONT = new PhetFont( 16 );
 const TOTAL_ADDED_TEMPLATE = 'Total Added: {{numSoundGenerators}}';
+const MEMORY_TEMPLATE = 'Registered in sound manager: {{numRegistered}}, JS heap: {{heapSize}}';
+const MEMORY_UPDATE_PERIOD = 1; // in seconds
 const ADD_BUTTON_COLOR = '#C0D890';
 
 // sounds
@@ -184,15 +187,28 @@ class RemoveAndDisposeSoundGeneratorsTestPanel extends Panel {
       removeAllSoundGeneratorsButton.enabled = numSGs > 0;
     } );
 
-    // listen for removal of sound generators from the observable array and remove them from the sound manager
+    // Listen for removal of sound generators from the observable array and dispose them.  Disposal removes them from
+    // the sound manager and tears down everything that was created for them when they were added.
     soundGenerators.addItemRemovedListener( removedSoundGenerator => {
-      soundManager.removeSoundGenerator( removedSoundGenerator );
       removedSoundGenerator.dispose();
     } );
 
+    // Show the number of sound generators registered with the sound manager and, where the browser supports it, the
+    // size of the JS heap, which should return to about where it was after sound generators are added and removed.
+    const memoryIndicator = new Text( '', { font: new PhetFont( 16 ) } );
+    const updateMemoryIndicator = () => {
+      const memory = window.performance && window.performance.memory;
+      memoryIndicator.text = StringUtils.fillIn( MEMORY_TEMPLATE, {
+        numRegistered: soundManager.getNumberOfSoundGenerators(),
+        heapSize: memory ? Utils.toFixed( memory.usedJSHeapSize / 1E6, 1 ) + ' MB' : 'unavailable'
+      } );
+    };
+    updateMemoryIndicator();
+    timer.setInterval( updateMemoryIndicator, MEMORY_UPDATE_PERIOD * 1000 );
+
     // add everything to a vertical box
     const rootVBox = new VBox( {
-      children: [ infoText, sgSelectorNode, addButtonHBox, showTotalHBox, testLastAddedSGButton ],
+      children: [ infoText, sgSelectorNode, addButtonHBox, showTotalHBox, memoryIndicator, testLastAddedSGButton ],
       spacing: 19
     } );
 
@@ -11,10 +11,13 @@ import PhetFont from '../../../../../scenery-phet/js/PhetFont.js';
 import TextPushButton from '../../../../../sun/js/buttons/TextPushButton.js';
 import loonCallSound from '../../../../sounds/loon-call_mp3.js';
 import rhodesChordSound from '../../../../sounds/rhodes-chord_mp3.js';
+import CaptionNode from '../../../CaptionNode.js';
+import LevelMeterNode from '../../../LevelMeterNode.js';
 import SoundClip from '../../../sound-generators/SoundClip.js';
 import SoundLevelEnum from '../../../SoundLevelEnum.js';
 import soundManager from '../../../soundManager.js';
 import tambo from '../../../tambo.js';
+import tamboStrings from '../../../tambo-strings.js';
 import CommonUIComponentsTestPanel from './CommonUIComponentsTestPanel.js';
 import RemoveAndDisposeSoundGeneratorsTestPanel from './RemoveAndDisposeSoundGeneratorsTestPanel.js';
 import SoundEncodingComparisonPanel from './SoundEncodingComparisonPanel.js';
@@ -34,9 +37,9 @@ class TestingScreenView extends ScreenView {
     super();
 
     // create two one-shot sounds, one for basic mode and one for enhanced
-    const loonCallSoundClip = new SoundClip( loonCallSound );
+    const loonCallSoundClip = new SoundClip( loonCallSound, { caption: tamboStrings.captions.loonCall } );
     soundManager.addSoundGenerator( loonCallSoundClip );
-    const rhodesChordSoundClip = new SoundClip( rhodesChordSound );
+    const rhodesChordSoundClip = new SoundClip( rhodesChordSound, { caption: tamboStrings.captions.chord } );
     soundManager.addSoundGenerator( rhodesChordSoundClip, { sonificationLevel: SoundLevelEnum.ENHANCED } );
 
     // add a button to play a basic-mode sound
@@ -59,6 +62,22 @@ class TestingScreenView extends ScreenView {
     } );
     this.addChild( playEnhancedSoundButton );
 
+    // add a meter that shows the overall output level, which is only available if the sound manager is initialized
+    if ( soundManager.masterLevelMeter ) {
+      this.addChild( new LevelMeterNode( soundManager.masterLevelMeter, {
+        labelString: 'Output',
+        left: playEnhancedSoundButton.left,
+        top: playEnhancedSoundButton.bottom + PANEL_SPACING
+      } ) );
+    }
+
+    // Add a node that shows the closed captions for the sounds.  This is positioned using x and y rather than left and
+    // top because it has no bounds until a caption is shown.
+    this.addChild( new CaptionNode( {
+      x: playBasicSoundButton.left,
+      y: this.layoutBounds.bottom - 100
+    } ) );
+
     // add a panel that will allow the user to compare sounds with different encodings
     const soundComparisonPanel = new SoundEncodingComparisonPanel( this, {
       left: playBasicSoundButton.right + 65,
@@ -7,7 +7,6 @@
  */
 
 import BooleanProperty from '../../../../../axon/js/BooleanProperty.js';
-import DerivedProperty from '../../../../../axon/js/DerivedProperty.js';
 import NumberProperty from '../../../../../axon/js/NumberProperty.js';
 import Property from '../../../../../axon/js/Property.js';
 import Dimension2 from '../../../../../dot/js/Dimension2.js';
@@ -154,19 +153,13 @@ class UIComponentsScreenView extends ScreenView {
     _.times( NUM_TICK_MARKS, index => { discreteSlider.addMinorTick( index ); } );
     this.addChild( discreteSlider );
 
-    // create an inverted version of the reset-in-progress Property, used to mute sounds during reset
-    const resetNotInProgressProperty = new DerivedProperty(
-      [ model.resetInProgressProperty ],
-      resetInProgress => !resetInProgress
-    );
+    // suppress sounds during reset
+    soundManager.addSuppressingProperty( model.resetInProgressProperty );
 
     // add sound generators that will play a sound when the value controlled by the slider changes
     const sliderIncreaseClickSoundClip = new SoundClip( sliderIncreaseClickSound );
     soundManager.addSoundGenerator( sliderIncreaseClickSoundClip );
-    const sliderDecreaseClickSoundClip = new SoundClip( sliderDecreaseClickSound, {
-      initiateWhenDisabled: false,
-      enableControlProperties: [ resetNotInProgressProperty ]
-    } );
+    const sliderDecreaseClickSoundClip = new SoundClip( sliderDecreaseClickSound, { initiateWhenDisabled: false } );
     soundManager.addSoundGenerator( sliderDecreaseClickSoundClip );
     model.discreteValueProperty.lazyLink( ( newValue, oldValue ) => {
       if ( newValue > oldValue ) {
@@ -227,7 +220,7 @@ class UIComponentsScreenView extends ScreenView {
 
     // Play a sound when certain threshold values are crossed by the continuous Property value, or when a change occurs
     // in the absence of interaction with the slider, since that implies keyboard-driven interaction.
-    const marimbaSoundClip = new SoundClip( marimbaSound, { enableControlProperties: [ resetNotInProgressProperty ] } );
+    const marimbaSoundClip = new SoundClip( marimbaSound );
     soundManager.addSoundGenerator( marimbaSoundClip );
 
     // define a function that will play the marimba sound at a pitch value based on the continuous value Property
@@ -267,10 +260,7 @@ class UIComponentsScreenView extends ScreenView {
     } );
 
     // add a sound generator for thunder
-    const thunderSoundClip = new SoundClip( thunderSound, {
-      enableControlProperties: [ resetNotInProgressProperty ],
-      initiateWhenDisabled: true
-    } );
+    const thunderSoundClip = new SoundClip( thunderSound, { initiateWhenDisabled: true } );
     soundManager.addSoundGenerator( thunderSoundClip );
     model.lightningBoltVisibleProperty.link( visible => {
       if ( visible ) {
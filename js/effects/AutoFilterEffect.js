@@ -0,0 +1,128 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * AutoFilterEffect is a filter with a cutoff frequency that is periodically swept up and down by a low frequency
+ * oscillator (LFO).  The sweep is done in octaves, so it sounds even across the frequency range.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import Range from '../../../dot/js/Range.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import tambo from '../tambo.js';
+import Effect from './Effect.js';
+
+// constants
+const CENTS_PER_OCTAVE = 1200;
+
+class AutoFilterEffect extends Effect {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {string} - type of filter, same values as BiquadFilterNode.type, though the ones that sweep a cutoff frequency
+      // ('lowpass', 'highpass', and 'bandpass') are the most useful
+      filterType: 'lowpass',
+
+      // {number} - initial center frequency of the sweep, in Hz
+      initialFrequency: 1000,
+
+      // {number} - initial amount by which the frequency is swept above and below the center frequency, in octaves
+      initialDepth: 1,
+
+      // {number} - initial frequency of the sweep, in Hz
+      initialRate: 1,
+
+      // {number} - initial resonance of the filter, same as BiquadFilterNode.Q
+      initialQ: 5,
+
+      // {string} - shape of the sweep, same values as OscillatorNode.type
+      lfoType: 'sine',
+
+      // {Tandem}
+      tandem: Tandem.OPTIONAL
+    }, options );
+
+    super( options );
+
+    // @public {NumberProperty} - center frequency of the sweep, in Hz
+    this.frequencyProperty = new NumberProperty( options.initialFrequency, {
+      range: new Range( 20, 10000 ),
+      units: 'Hz',
+      tandem: options.tandem.createTandem( 'frequencyProperty' ),
+      phetioDocumentation: 'Center frequency around which the filter is swept.'
+    } );
+
+    // @public {NumberProperty} - amount by which the frequency is swept above and below the center, in octaves
+    this.depthProperty = new NumberProperty( options.initialDepth, {
+      range: new Range( 0, 4 ),
+      tandem: options.tandem.createTandem( 'depthProperty' ),
+      phetioDocumentation: 'Amount, in octaves, by which the filter is swept above and below the center frequency.'
+    } );
+
+    // @public {NumberProperty} - frequency of the sweep, in Hz
+    this.rateProperty = new NumberProperty( options.initialRate, {
+      range: new Range( 0.05, 20 ),
+      units: 'Hz',
+      tandem: options.tandem.createTandem( 'rateProperty' ),
+      phetioDocumentation: 'Frequency at which the filter is swept.'
+    } );
+
+    // @public {NumberProperty} - resonance of the filter
+    this.qProperty = new NumberProperty( options.initialQ, {
+      range: new Range( 0.1, 20 ),
+      tandem: options.tandem.createTandem( 'qProperty' ),
+      phetioDocumentation: 'Resonance of the filter, where higher values emphasize the frequencies near the cutoff.'
+    } );
+
+    // create and connect the filter
+    const filterNode = this.audioContext.createBiquadFilter();
+    filterNode.type = options.filterType;
+    this.inputNode.connect( filterNode );
+    filterNode.connect( this.wetGainNode );
+
+    // create the LFO, which sweeps the filter by way of its detune parameter, which is in cents
+    const lfo = this.audioContext.createOscillator();
+    lfo.type = options.lfoType;
+    const modulationDepthGainNode = this.audioContext.createGain();
+    lfo.connect( modulationDepthGainNode );
+    modulationDepthGainNode.connect( filterNode.detune );
+    lfo.start();
+
+    this.linkAudioParam( [ this.frequencyProperty ], filterNode.frequency, frequency => frequency );
+    this.linkAudioParam( [ this.depthProperty ], modulationDepthGainNode.gain, depth => depth * CENTS_PER_OCTAVE );
+    this.linkAudioParam( [ this.rateProperty ], lfo.frequency, rate => rate );
+    this.linkAudioParam( [ this.qProperty ], filterNode.Q, q => q );
+
+    // @private {function}
+    this.disposeAutoFilterEffect = () => {
+      lfo.stop();
+      lfo.disconnect();
+      modulationDepthGainNode.disconnect();
+      filterNode.disconnect();
+      this.frequencyProperty.dispose();
+      this.depthProperty.dispose();
+      this.rateProperty.dispose();
+      this.qProperty.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    super.dispose();
+    this.disposeAutoFilterEffect();
+  }
+}
+
+tambo.register( 'AutoFilterEffect', AutoFilterEffect );
+
+export default AutoFilterEffect;
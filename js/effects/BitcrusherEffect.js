@@ -0,0 +1,199 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * BitcrusherEffect reduces the resolution of the input sound, both in amplitude, by quantizing it to a smaller number
+ * of bits, and in time, by holding each sample for several sample periods.  This produces the gritty, lo-fi sound of
+ * early digital audio.
+ *
+ * The bit reduction is done with a wave shaper and works everywhere.  The sample rate reduction is done with an audio
+ * worklet, which is loaded asynchronously, so it takes effect shortly after construction, and it has no effect on
+ * platforms that don't support audio worklets.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import Range from '../../../dot/js/Range.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import tambo from '../tambo.js';
+import Effect from './Effect.js';
+
+// constants
+const CURVE_LENGTH = 16385; // odd so that an input of zero maps to the center of the curve
+const MAX_DOWNSAMPLING_FACTOR = 64;
+const PROCESSOR_NAME = 'tambo-sample-and-hold-processor';
+
+// Source for the audio worklet processor that does the sample rate reduction by holding each input sample for the
+// number of frames specified by the downsampling factor.  This is loaded from a Blob URL so that no separate file needs
+// to be served.
+const PROCESSOR_SOURCE = `
+class SampleAndHoldProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [ { name: 'downsamplingFactor', defaultValue: 1, minValue: 1, maxValue: ${MAX_DOWNSAMPLING_FACTOR} } ];
+  }
+  constructor() {
+    super();
+    this.framesSinceSample = Number.POSITIVE_INFINITY;
+    this.heldSamples = [];
+  }
+  process( inputs, outputs, parameters ) {
+    const input = inputs[ 0 ];
+    const output = outputs[ 0 ];
+    const downsamplingFactors = parameters.downsamplingFactor;
+    for ( let frame = 0; frame < output[ 0 ].length; frame++ ) {
+      const downsamplingFactor = downsamplingFactors[ downsamplingFactors.length > 1 ? frame : 0 ];
+      const takeSample = this.framesSinceSample >= downsamplingFactor;
+      this.framesSinceSample = takeSample ? 1 : this.framesSinceSample + 1;
+      for ( let channel = 0; channel < output.length; channel++ ) {
+        if ( takeSample ) {
+          this.heldSamples[ channel ] = input[ channel ] ? input[ channel ][ frame ] : 0;
+        }
+        output[ channel ][ frame ] = this.heldSamples[ channel ];
+      }
+    }
+    return true;
+  }
+}
+registerProcessor( '${PROCESSOR_NAME}', SampleAndHoldProcessor );
+`;
+
+// {Map.<AudioContext,Promise>} - promises that resolve when the worklet module has been loaded into an audio context,
+// shared by all instances since a processor can only be registered once per context
+const workletModuleLoadedPromises = new Map();
+
+/**
+ * Load the worklet module into the provided audio context if that hasn't already been done.
+ * @param {AudioContext} audioContext
+ * @returns {Promise}
+ */
+function loadWorkletModule( audioContext ) {
+  if ( !workletModuleLoadedPromises.has( audioContext ) ) {
+    const moduleURL = window.URL.createObjectURL(
+      new window.Blob( [ PROCESSOR_SOURCE ], { type: 'application/javascript' } )
+    );
+    workletModuleLoadedPromises.set( audioContext, audioContext.audioWorklet.addModule( moduleURL ).then( () => {
+      window.URL.revokeObjectURL( moduleURL );
+    } ) );
+  }
+  return workletModuleLoadedPromises.get( audioContext );
+}
+
+/**
+ * Create the wave shaper curve that quantizes the sound to the provided number of bits.
+ * @param {number} bits
+ * @returns {Float32Array}
+ */
+function createCurve( bits ) {
+  const levelsPerPolarity = Math.pow( 2, bits - 1 );
+  const curve = new Float32Array( CURVE_LENGTH );
+  for ( let i = 0; i < CURVE_LENGTH; i++ ) {
+    const x = i * 2 / ( CURVE_LENGTH - 1 ) - 1;
+    curve[ i ] = Math.round( x * levelsPerPolarity ) / levelsPerPolarity;
+  }
+  return curve;
+}
+
+class BitcrusherEffect extends Effect {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {number} - initial number of bits to which the sound is quantized
+      initialBits: 6,
+
+      // {number} - initial number of sample periods for which each sample is held, 1 means no reduction
+      initialDownsamplingFactor: 4,
+
+      // {Tandem}
+      tandem: Tandem.OPTIONAL
+    }, options );
+
+    super( options );
+
+    // @public {NumberProperty} - number of bits to which the sound is quantized
+    this.bitsProperty = new NumberProperty( options.initialBits, {
+      range: new Range( 1, 12 ),
+      numberType: 'Integer',
+      tandem: options.tandem.createTandem( 'bitsProperty' ),
+      phetioDocumentation: 'Number of bits to which the level of the sound is quantized.'
+    } );
+
+    // @public {NumberProperty} - number of sample periods for which each sample is held
+    this.downsamplingFactorProperty = new NumberProperty( options.initialDownsamplingFactor, {
+      range: new Range( 1, MAX_DOWNSAMPLING_FACTOR ),
+      numberType: 'Integer',
+      tandem: options.tandem.createTandem( 'downsamplingFactorProperty' ),
+      phetioDocumentation: 'Number of sample periods for which each sample is held, which reduces the effective ' +
+                           'sample rate.  A value of 1 means that the sample rate is not reduced.'
+    } );
+
+    // create and connect the wave shaper that does the bit reduction
+    const waveShaperNode = this.audioContext.createWaveShaper();
+    this.inputNode.connect( waveShaperNode );
+    waveShaperNode.connect( this.wetGainNode );
+
+    // the curve isn't an audio parameter, so changes are made immediately
+    const bitsListener = bits => {
+      waveShaperNode.curve = createCurve( bits );
+    };
+    this.bitsProperty.link( bitsListener );
+
+    // @private {AudioWorkletNode|null} - node that does the sample rate reduction, null until it has been loaded
+    this.sampleAndHoldNode = null;
+
+    // @private {boolean}
+    this.isDisposed = false;
+
+    // Once the worklet is available, insert the sample and hold node between the wave shaper and the output.  The
+    // sound passes through without sample rate reduction until then.
+    if ( this.audioContext.audioWorklet && window.AudioWorkletNode ) {
+      loadWorkletModule( this.audioContext ).then( () => {
+        if ( this.isDisposed ) {
+          return;
+        }
+        this.sampleAndHoldNode = new window.AudioWorkletNode( this.audioContext, PROCESSOR_NAME, {
+          outputChannelCount: [ 2 ]
+        } );
+        this.linkAudioParam(
+          [ this.downsamplingFactorProperty ],
+          this.sampleAndHoldNode.parameters.get( 'downsamplingFactor' ),
+          downsamplingFactor => downsamplingFactor,
+          { stepped: true }
+        );
+        waveShaperNode.disconnect();
+        waveShaperNode.connect( this.sampleAndHoldNode );
+        this.sampleAndHoldNode.connect( this.wetGainNode );
+      } ).catch( error => {
+        console.warn( 'unable to load the sample rate reduction processor, error: ' + error );
+      } );
+    }
+
+    // @private {function}
+    this.disposeBitcrusherEffect = () => {
+      this.isDisposed = true;
+      this.bitsProperty.unlink( bitsListener );
+      waveShaperNode.disconnect();
+      this.sampleAndHoldNode && this.sampleAndHoldNode.disconnect();
+      this.bitsProperty.dispose();
+      this.downsamplingFactorProperty.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    super.dispose();
+    this.disposeBitcrusherEffect();
+  }
+}
+
+tambo.register( 'BitcrusherEffect', BitcrusherEffect );
+
+export default BitcrusherEffect;
@@ -0,0 +1,133 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ChorusEffect mixes the input sound with a copy that is delayed by an amount that is slowly varied by a low frequency
+ * oscillator (LFO), which makes a sound seem fuller, as though several sources were playing it.  The same structure
+ * with a shorter delay and some feedback produces a flanger, so that is supported too.  Typical chorus settings are a
+ * delay of 15-30 ms and no feedback, and typical flanger settings are a delay of 1-5 ms and a feedback of 0.5 or more.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import Range from '../../../dot/js/Range.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import tambo from '../tambo.js';
+import Effect from './Effect.js';
+
+// constants
+const MAX_DELAY_TIME = 0.05; // in seconds
+const MAX_FEEDBACK = 0.95; // limited to less than 1 so that the feedback always dies out
+
+class ChorusEffect extends Effect {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {number} - initial delay, in seconds, around which the LFO varies the delay
+      initialDelayTime: 0.02,
+
+      // {number} - initial amount by which the delay is varied, as a proportion of the delay time, from 0 to 1
+      initialDepth: 0.5,
+
+      // {number} - initial frequency of the LFO, in Hz
+      initialRate: 1.5,
+
+      // {number} - initial proportion of the delayed sound that is fed back into the delay, use for flanging
+      initialFeedback: 0,
+
+      // {number} - see Effect
+      initialMix: 0.5,
+
+      // {Tandem}
+      tandem: Tandem.OPTIONAL
+    }, options );
+
+    super( options );
+
+    // @public {NumberProperty} - delay, in seconds, around which the LFO varies the delay
+    this.delayTimeProperty = new NumberProperty( options.initialDelayTime, {
+      range: new Range( 0.001, MAX_DELAY_TIME ),
+      units: 's',
+      tandem: options.tandem.createTandem( 'delayTimeProperty' ),
+      phetioDocumentation: 'Delay around which the delayed copy of the sound is varied.'
+    } );
+
+    // @public {NumberProperty} - amount by which the delay is varied, as a proportion of the delay time
+    this.depthProperty = new NumberProperty( options.initialDepth, {
+      range: new Range( 0, 1 ),
+      tandem: options.tandem.createTandem( 'depthProperty' ),
+      phetioDocumentation: 'Amount by which the delay is varied, as a proportion of the delay time.'
+    } );
+
+    // @public {NumberProperty} - frequency at which the delay is varied, in Hz
+    this.rateProperty = new NumberProperty( options.initialRate, {
+      range: new Range( 0.05, 10 ),
+      units: 'Hz',
+      tandem: options.tandem.createTandem( 'rateProperty' ),
+      phetioDocumentation: 'Frequency at which the delay is varied.'
+    } );
+
+    // @public {NumberProperty} - proportion of the delayed sound that is fed back into the delay
+    this.feedbackProperty = new NumberProperty( options.initialFeedback, {
+      range: new Range( 0, MAX_FEEDBACK ),
+      tandem: options.tandem.createTandem( 'feedbackProperty' ),
+      phetioDocumentation: 'Proportion of the delayed sound that is fed back into the delay.'
+    } );
+
+    // create and connect the delay and the feedback loop
+    const delayNode = this.audioContext.createDelay( MAX_DELAY_TIME * 2 );
+    const feedbackGainNode = this.audioContext.createGain();
+    this.inputNode.connect( delayNode );
+    delayNode.connect( feedbackGainNode );
+    feedbackGainNode.connect( delayNode );
+    delayNode.connect( this.wetGainNode );
+
+    // create the LFO, the output of which is scaled and added to the delay time
+    const lfo = this.audioContext.createOscillator();
+    const modulationDepthGainNode = this.audioContext.createGain();
+    lfo.connect( modulationDepthGainNode );
+    modulationDepthGainNode.connect( delayNode.delayTime );
+    lfo.start();
+
+    this.linkAudioParam( [ this.delayTimeProperty ], delayNode.delayTime, delayTime => delayTime );
+    this.linkAudioParam(
+      [ this.delayTimeProperty, this.depthProperty ],
+      modulationDepthGainNode.gain,
+      ( delayTime, depth ) => delayTime * depth
+    );
+    this.linkAudioParam( [ this.rateProperty ], lfo.frequency, rate => rate );
+    this.linkAudioParam( [ this.feedbackProperty ], feedbackGainNode.gain, feedback => feedback );
+
+    // @private {function}
+    this.disposeChorusEffect = () => {
+      lfo.stop();
+      lfo.disconnect();
+      modulationDepthGainNode.disconnect();
+      delayNode.disconnect();
+      feedbackGainNode.disconnect();
+      this.delayTimeProperty.dispose();
+      this.depthProperty.dispose();
+      this.rateProperty.dispose();
+      this.feedbackProperty.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    super.dispose();
+    this.disposeChorusEffect();
+  }
+}
+
+tambo.register( 'ChorusEffect', ChorusEffect );
+
+export default ChorusEffect;
@@ -0,0 +1,100 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DelayEffect is a feedback delay, which produces a series of echoes of the input sound.  Each echo is attenuated by
+ * the feedback amount relative to the previous one.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import Range from '../../../dot/js/Range.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import tambo from '../tambo.js';
+import Effect from './Effect.js';
+
+// constants
+const MAX_FEEDBACK = 0.95; // limited to less than 1 so that the echoes always die out
+
+class DelayEffect extends Effect {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {number} - initial time between echoes, in seconds
+      initialDelayTime: 0.3,
+
+      // {number} - maximum time between echoes, in seconds, which can't be changed after construction
+      maxDelayTime: 2,
+
+      // {number} - initial proportion of each echo that is fed back to produce the next one
+      initialFeedback: 0.4,
+
+      // {number} - see Effect
+      initialMix: 0.5,
+
+      // {Tandem}
+      tandem: Tandem.OPTIONAL
+    }, options );
+
+    assert && assert(
+      options.initialDelayTime > 0 && options.initialDelayTime <= options.maxDelayTime,
+      'invalid initialDelayTime: ' + options.initialDelayTime
+    );
+
+    super( options );
+
+    // @public {NumberProperty} - time between echoes, in seconds
+    this.delayTimeProperty = new NumberProperty( options.initialDelayTime, {
+      range: new Range( 0, options.maxDelayTime ),
+      units: 's',
+      tandem: options.tandem.createTandem( 'delayTimeProperty' ),
+      phetioDocumentation: 'Time between the echoes produced by the delay.'
+    } );
+
+    // @public {NumberProperty} - proportion of each echo that is fed back to produce the next one
+    this.feedbackProperty = new NumberProperty( options.initialFeedback, {
+      range: new Range( 0, MAX_FEEDBACK ),
+      tandem: options.tandem.createTandem( 'feedbackProperty' ),
+      phetioDocumentation: 'Proportion of each echo that is fed back into the delay, which sets how quickly the ' +
+                           'echoes die out.'
+    } );
+
+    // create and connect the nodes that produce the echoes
+    const delayNode = this.audioContext.createDelay( options.maxDelayTime );
+    const feedbackGainNode = this.audioContext.createGain();
+    this.inputNode.connect( delayNode );
+    delayNode.connect( feedbackGainNode );
+    feedbackGainNode.connect( delayNode );
+    delayNode.connect( this.wetGainNode );
+
+    this.linkAudioParam( [ this.delayTimeProperty ], delayNode.delayTime, delayTime => delayTime );
+    this.linkAudioParam( [ this.feedbackProperty ], feedbackGainNode.gain, feedback => feedback );
+
+    // @private {function}
+    this.disposeDelayEffect = () => {
+      delayNode.disconnect();
+      feedbackGainNode.disconnect();
+      this.delayTimeProperty.dispose();
+      this.feedbackProperty.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    super.dispose();
+    this.disposeDelayEffect();
+  }
+}
+
+tambo.register( 'DelayEffect', DelayEffect );
+
+export default DelayEffect;
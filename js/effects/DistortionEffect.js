@@ -0,0 +1,98 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DistortionEffect uses a wave shaper to saturate the input sound, which adds harmonics and produces a sound that
+ * ranges from warm to harsh as the drive is increased.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import Range from '../../../dot/js/Range.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import tambo from '../tambo.js';
+import Effect from './Effect.js';
+
+// constants
+const CURVE_LENGTH = 2049; // odd so that an input of zero maps to the center of the curve
+const MAX_SHAPING_AMOUNT = 100; // empirically determined to be about as harsh as is useful
+
+/**
+ * Create the wave shaper curve for the provided drive, which is a soft clipping curve that gets steeper and closer to
+ * a hard clip as the drive increases.  The output is normalized so that the peak level doesn't depend on the drive.
+ * @param {number} drive - from 0 to 1
+ * @returns {Float32Array}
+ */
+function createCurve( drive ) {
+  const shapingAmount = drive * MAX_SHAPING_AMOUNT;
+  const curve = new Float32Array( CURVE_LENGTH );
+  for ( let i = 0; i < CURVE_LENGTH; i++ ) {
+    const x = i * 2 / ( CURVE_LENGTH - 1 ) - 1;
+    curve[ i ] = ( 1 + shapingAmount ) * x / ( 1 + shapingAmount * Math.abs( x ) );
+  }
+  return curve;
+}
+
+class DistortionEffect extends Effect {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {number} - initial amount of distortion, from 0 to 1
+      initialDrive: 0.3,
+
+      // {string} - oversampling used by the wave shaper to reduce aliasing, same values as WaveShaperNode.oversample
+      oversample: '4x',
+
+      // {Tandem}
+      tandem: Tandem.OPTIONAL
+    }, options );
+
+    super( options );
+
+    // @public {NumberProperty} - amount of distortion, where 0 leaves the sound unchanged
+    this.driveProperty = new NumberProperty( options.initialDrive, {
+      range: new Range( 0, 1 ),
+      tandem: options.tandem.createTandem( 'driveProperty' ),
+      phetioDocumentation: 'Amount of distortion, where 0 leaves the sound unchanged and 1 is the maximum.'
+    } );
+
+    // create and connect the wave shaper
+    const waveShaperNode = this.audioContext.createWaveShaper();
+    waveShaperNode.oversample = options.oversample;
+    this.inputNode.connect( waveShaperNode );
+    waveShaperNode.connect( this.wetGainNode );
+
+    // The curve isn't an audio parameter, so it can't be changed smoothly.  Changes are made immediately, and
+    // large, sudden changes in the drive may be audible.
+    const driveListener = drive => {
+      waveShaperNode.curve = createCurve( drive );
+    };
+    this.driveProperty.link( driveListener );
+
+    // @private {function}
+    this.disposeDistortionEffect = () => {
+      this.driveProperty.unlink( driveListener );
+      waveShaperNode.disconnect();
+      this.driveProperty.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    super.dispose();
+    this.disposeDistortionEffect();
+  }
+}
+
+tambo.register( 'DistortionEffect', DistortionEffect );
+
+export default DistortionEffect;
@@ -0,0 +1,127 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Effect is the base class for the effect units, such as delays and filters, that process sound on its way from an
+ * input node to an output node.  The output is a mix of the unprocessed (dry) sound and the processed (wet) sound,
+ * which is controlled by the mix Property.  Subclasses connect the input node to their processing nodes and connect
+ * the processed sound to the wet gain node.
+ *
+ * Since effects expose input and output nodes, they can be added to the effects chain of a sound generator or a sound
+ * category, or connected directly to other audio nodes.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import Property from '../../../axon/js/Property.js';
+import Range from '../../../dot/js/Range.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import phetAudioContext from '../phetAudioContext.js';
+import soundConstants from '../soundConstants.js';
+import tambo from '../tambo.js';
+
+// constants
+const DEFAULT_TIME_CONSTANT = soundConstants.DEFAULT_PARAM_CHANGE_TIME_CONSTANT;
+
+class Effect {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {number} - initial proportion of the output that is processed sound, from 0 (dry) to 1 (fully wet)
+      initialMix: 1,
+
+      // {AudioContext} - audio context in which the audio nodes for this effect are created
+      audioContext: phetAudioContext,
+
+      // {Tandem}
+      tandem: Tandem.OPTIONAL
+    }, options );
+
+    // @protected {AudioContext}
+    this.audioContext = options.audioContext;
+
+    // @public (read-only) {GainNode} - the node to which the sound that is to be processed should be connected
+    this.inputNode = this.audioContext.createGain();
+
+    // @public (read-only) {GainNode} - the node from which the mix of the unprocessed and processed sound comes out
+    this.outputNode = this.audioContext.createGain();
+
+    // @private {GainNode} - gain stage for the unprocessed sound
+    this.dryGainNode = this.audioContext.createGain();
+    this.inputNode.connect( this.dryGainNode );
+    this.dryGainNode.connect( this.outputNode );
+
+    // @protected {GainNode} - node to which subclasses should connect the processed sound
+    this.wetGainNode = this.audioContext.createGain();
+    this.wetGainNode.connect( this.outputNode );
+
+    // @public {NumberProperty} - proportion of the output that is processed sound
+    this.mixProperty = new NumberProperty( options.initialMix, {
+      range: new Range( 0, 1 ),
+      tandem: options.tandem.createTandem( 'mixProperty' ),
+      phetioDocumentation: 'Proportion of the output that is processed by the effect, where 0 is none and 1 is all.'
+    } );
+
+    // @private {function[]} - functions that unlink the listeners that were added in linkAudioParam
+    this.audioParamUnlinkers = [];
+
+    this.linkAudioParam( [ this.mixProperty ], this.dryGainNode.gain, mix => 1 - mix );
+    this.linkAudioParam( [ this.mixProperty ], this.wetGainNode.gain, mix => mix );
+  }
+
+  /**
+   * Set an audio parameter to a value that is derived from the provided Properties whenever any of them change.  The
+   * change is smoothed unless the parameter is stepped.  The link is removed when this effect is disposed.
+   * @param {Property[]} properties
+   * @param {AudioParam} audioParam
+   * @param {function(...*):number} deriveValue - called with the values of the Properties, returns the parameter value
+   * @param {Object} [options]
+   * @protected
+   */
+  linkAudioParam( properties, audioParam, deriveValue, options ) {
+
+    options = merge( {
+
+      // {boolean} - true if the parameter only makes sense at discrete values, such as integers, in which case
+      // changes are made immediately rather than being smoothed, since the intermediate values would be audible
+      stepped: false
+    }, options );
+
+    const multilink = Property.multilink( properties, ( ...values ) => {
+      const value = deriveValue( ...values );
+      const now = this.audioContext.currentTime;
+      if ( options.stepped ) {
+        audioParam.cancelScheduledValues( now );
+        audioParam.setValueAtTime( value, now );
+      }
+      else {
+        audioParam.setTargetAtTime( value, now, DEFAULT_TIME_CONSTANT );
+      }
+    } );
+    this.audioParamUnlinkers.push( () => Property.unmultilink( multilink ) );
+  }
+
+  /**
+   * Subclasses should call this before disposing the Properties that they passed to linkAudioParam.
+   * @public
+   */
+  dispose() {
+    this.audioParamUnlinkers.forEach( unlink => unlink() );
+    this.audioParamUnlinkers.length = 0;
+    this.inputNode.disconnect();
+    this.dryGainNode.disconnect();
+    this.wetGainNode.disconnect();
+    this.outputNode.disconnect();
+    this.mixProperty.dispose();
+  }
+}
+
+tambo.register( 'Effect', Effect );
+
+export default Effect;
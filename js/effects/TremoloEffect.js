@@ -0,0 +1,97 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * TremoloEffect periodically varies the level of the input sound using a low frequency oscillator (LFO).
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import Range from '../../../dot/js/Range.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import tambo from '../tambo.js';
+import Effect from './Effect.js';
+
+class TremoloEffect extends Effect {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {number} - initial frequency at which the level is varied, in Hz
+      initialRate: 5,
+
+      // {number} - initial amount by which the level is varied, from 0 (not at all) to 1 (down to silence)
+      initialDepth: 0.5,
+
+      // {string} - shape of the variation, same values as OscillatorNode.type
+      lfoType: 'sine',
+
+      // {Tandem}
+      tandem: Tandem.OPTIONAL
+    }, options );
+
+    super( options );
+
+    // @public {NumberProperty} - frequency at which the level is varied, in Hz
+    this.rateProperty = new NumberProperty( options.initialRate, {
+      range: new Range( 0.1, 20 ),
+      units: 'Hz',
+      tandem: options.tandem.createTandem( 'rateProperty' ),
+      phetioDocumentation: 'Frequency at which the level of the sound is varied.'
+    } );
+
+    // @public {NumberProperty} - amount by which the level is varied
+    this.depthProperty = new NumberProperty( options.initialDepth, {
+      range: new Range( 0, 1 ),
+      tandem: options.tandem.createTandem( 'depthProperty' ),
+      phetioDocumentation: 'Amount by which the level of the sound is varied, where 0 is not at all and 1 is from ' +
+                           'full level down to silence.'
+    } );
+
+    // Create the gain node that varies the level.  The LFO output, which goes from -1 to 1, is scaled by half the depth
+    // and added to a base gain of 1 minus half the depth, so the gain varies from 1 - depth to 1.
+    const tremoloGainNode = this.audioContext.createGain();
+    this.inputNode.connect( tremoloGainNode );
+    tremoloGainNode.connect( this.wetGainNode );
+
+    // create the LFO
+    const lfo = this.audioContext.createOscillator();
+    lfo.type = options.lfoType;
+    const modulationDepthGainNode = this.audioContext.createGain();
+    lfo.connect( modulationDepthGainNode );
+    modulationDepthGainNode.connect( tremoloGainNode.gain );
+    lfo.start();
+
+    this.linkAudioParam( [ this.depthProperty ], tremoloGainNode.gain, depth => 1 - depth / 2 );
+    this.linkAudioParam( [ this.depthProperty ], modulationDepthGainNode.gain, depth => depth / 2 );
+    this.linkAudioParam( [ this.rateProperty ], lfo.frequency, rate => rate );
+
+    // @private {function}
+    this.disposeTremoloEffect = () => {
+      lfo.stop();
+      lfo.disconnect();
+      modulationDepthGainNode.disconnect();
+      tremoloGainNode.disconnect();
+      this.rateProperty.dispose();
+      this.depthProperty.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    super.dispose();
+    this.disposeTremoloEffect();
+  }
+}
+
+tambo.register( 'TremoloEffect', TremoloEffect );
+
+export default TremoloEffect;
@@ -0,0 +1,116 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The hapticsManager singleton manages vibration output, which can be used in parallel with sound to provide feedback
+ * on devices that support it, such as phones.  Vibrations are sent through navigator.vibrate when it exists.  For
+ * testing, the vibrations can instead be recorded, see startRecording.
+ *
+ * Like sound, vibrations are only produced when the sim is visible and active and when PhET-iO state is not being set,
+ * and there is a separate enabled Property that allows the user to turn them off.  The sound manager initializes this
+ * object and sends vibrations for sound generators that have a vibration pattern when they produce sound, see the
+ * vibrationPattern option in SoundGenerator.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
+import merge from '../../phet-core/js/merge.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import tambo from './tambo.js';
+
+class HapticsManager {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+
+    // @public (read-only) {boolean} - whether the platform supports vibration
+    this.vibrationSupported = !!( window.navigator && window.navigator.vibrate );
+
+    // @public {BooleanProperty} - controls whether vibrations are produced
+    this.enabledProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'enabledProperty' ),
+      phetioDocumentation: 'Controls whether vibrations are produced on devices that support them.'
+    } );
+
+    // @private {DerivedProperty.<boolean>|null} - true when vibrations can be produced, created during init
+    this.outputAllowedProperty = null;
+
+    // @private {Object[]|null} - recorded vibrations, null when not recording, see startRecording
+    this.recordedVibrations = null;
+
+    // @private {boolean}
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the haptics manager.  This is generally done by the sound manager when it is initialized.
+   * @param {BooleanProperty} simVisibleProperty
+   * @param {BooleanProperty} simActiveProperty
+   * @public
+   */
+  initialize( simVisibleProperty, simActiveProperty ) {
+    assert && assert( !this.initialized, 'can\'t initialize the haptics manager more than once' );
+    this.outputAllowedProperty = new DerivedProperty(
+      [ this.enabledProperty, simVisibleProperty, simActiveProperty, phet.joist.sim.isSettingPhetioStateProperty ],
+      ( enabled, simVisible, simActive, simIsSettingPhetioState ) =>
+        enabled && simVisible && simActive && !simIsSettingPhetioState
+    );
+    this.initialized = true;
+  }
+
+  /**
+   * Produce a vibration if vibrations are currently allowed.
+   * @param {number|number[]} pattern - duration of the vibration in milliseconds, or an array of alternating
+   * vibration and pause durations, see navigator.vibrate
+   * @param {Object} [options]
+   * @public
+   */
+  vibrate( pattern, options ) {
+
+    options = merge( {
+
+      // {BooleanProperty[]} - additional Properties that must all be true for the vibration to be produced, e.g. the
+      // enabled state of the sound generator that is requesting the vibration
+      enableControlProperties: []
+    }, options );
+
+    if ( !this.initialized || !this.outputAllowedProperty.value ||
+         !_.every( options.enableControlProperties, enableControlProperty => enableControlProperty.value ) ) {
+      return;
+    }
+
+    if ( this.recordedVibrations ) {
+      this.recordedVibrations.push( { pattern: pattern, timestamp: Date.now() } );
+    }
+    else if ( this.vibrationSupported ) {
+      window.navigator.vibrate( pattern );
+    }
+  }
+
+  /**
+   * Start recording vibrations instead of sending them to the device, intended for use in automated tests.
+   * @public
+   */
+  startRecording() {
+    this.recordedVibrations = [];
+  }
+
+  /**
+   * Stop recording vibrations and get the ones that were recorded since startRecording was called.
+   * @returns {Array.<{pattern:number|number[], timestamp:number}>}
+   * @public
+   */
+  stopRecording() {
+    assert && assert( this.recordedVibrations, 'not recording' );
+    const recordedVibrations = this.recordedVibrations;
+    this.recordedVibrations = null;
+    return recordedVibrations;
+  }
+}
+
+const hapticsManager = new HapticsManager( Tandem.GENERAL_VIEW.createTandem( 'hapticsManager' ) );
+tambo.register( 'hapticsManager', hapticsManager );
+export default hapticsManager;
@@ -0,0 +1,220 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * offlineSoundRenderer is a singleton utility object that renders sounds faster than real time using an
+ * OfflineAudioContext.  It builds a temporary audio graph that is similar to the one created by the sound manager
+ * (reverb, master gain, and limiter), creates sound generators that are connected to it, runs a scripted list of
+ * timed actions on those sound generators, and provides the rendered result as an AudioBuffer and as WAV data.  This
+ * is intended for use in automated tests that verify that the sound generators produce the expected audio.
+ *
+ * Example usage:
+ *
+ * offlineSoundRenderer.render( {
+ *   duration: 2,
+ *   soundInfos: [ loonCallSound ],
+ *   createSoundGenerators: audioContext => ( {
+ *     loonCall: new SoundClip( loonCallSound, { audioContext: audioContext } )
+ *   } ),
+ *   actions: [
+ *     { time: 0, soundGenerator: 'loonCall', method: 'play' },
+ *     { time: 0.5, soundGenerator: 'loonCall', method: 'setPlaybackRate', args: [ 2 ] },
+ *     { time: 1, soundGenerator: 'loonCall', method: 'stop' }
+ *   ]
+ * } ).then( result => { ...do something with result.audioBuffer or result.wavBlob... } );
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import merge from '../../phet-core/js/merge.js';
+import reverbImpulseResponse from '../sounds/empty_apartment_bedroom_06_resampled_mp3.js';
+import phetAudioContext from './phetAudioContext.js';
+import soundInfoDecoder from './soundInfoDecoder.js';
+import soundManager from './soundManager.js';
+import tambo from './tambo.js';
+import wavEncoder from './wavEncoder.js';
+
+// constants
+const OfflineAudioContextConstructor = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+
+/**
+ * helper function that decodes a sound info and returns a promise that resolves to the decoded audio data
+ * @param {SoundInfo} soundInfo
+ * @param {BaseAudioContext} audioContext
+ * @returns {Promise.<AudioBuffer>}
+ */
+function decodeSoundInfo( soundInfo, audioContext ) {
+  return new Promise( ( resolve, reject ) => {
+    soundInfoDecoder.decode( soundInfo, audioContext, resolve, reject );
+  } );
+}
+
+const offlineSoundRenderer = {
+
+  /**
+   * Render the sound produced by a set of sound generators and a scripted set of actions.
+   * @param {Object} options
+   * @returns {Promise.<{audioBuffer:AudioBuffer, wavData:ArrayBuffer, wavBlob:Blob}>} - rejects if any of the actions
+   * throws an error
+   * @public
+   */
+  render( options ) {
+
+    options = merge( {
+
+      // {number} - length of the rendered sound, in seconds
+      duration: 1,
+
+      // {number} - Sample rate of the rendered sound.  This defaults to that of the shared audio context because
+      // decoded sounds are cached and shared across audio contexts, and the reverb's impulse response can only be used
+      // in a context with the same sample rate as the one in which it was decoded.
+      sampleRate: phetAudioContext.sampleRate,
+
+      // {number}
+      numberOfChannels: 2,
+
+      // {SoundInfo[]} - sounds that are used by the sound generators, which are decoded before the sound generators
+      // are created so that they are ready to play as soon as rendering starts
+      soundInfos: [],
+
+      // {function(audioContext:OfflineAudioContext):Object} - a function that creates the sound generators using the
+      // provided audio context, and returns an object that maps names to the sound generators, which are used to
+      // identify the sound generators in the actions
+      createSoundGenerators: () => ( {} ),
+
+      // {Object[]} - the actions to perform during rendering, each of which has a 'time' field, in seconds, and either
+      // 'soundGenerator', 'method' and (optionally) 'args' fields that specify a method to call on one of the sound
+      // generators, or a 'callback' field with a function that will be called with the map of sound generators, which
+      // can be used for things like setting Property values or stepping a sound generator
+      actions: [],
+
+      // {number} - amount of reverb, from 0 (dry) to 1 (wet), defaults to that used by the sound manager
+      reverbLevel: soundManager.reverbLevel,
+
+      // {boolean} - whether to include the limiter, which uses the same settings as the one in the sound manager
+      includeLimiter: true
+
+    }, options );
+
+    if ( !OfflineAudioContextConstructor ) {
+      return Promise.reject( new Error( 'offline audio rendering is not supported on this platform' ) );
+    }
+
+    assert && options.actions.forEach( action => {
+      assert && assert(
+        action.time >= 0 && action.time < options.duration,
+        'action time out of range: ' + action.time
+      );
+      assert && assert( typeof action.callback === 'function' || typeof action.method === 'string', 'invalid action' );
+    } );
+
+    const audioContext = new OfflineAudioContextConstructor(
+      options.numberOfChannels,
+      Math.ceil( options.duration * options.sampleRate ),
+      options.sampleRate
+    );
+
+    let soundGenerators = {};
+
+    // {Error|null} - the first error thrown by an action that was performed while rendering was suspended
+    let actionError = null;
+
+    // function to dispose the sound generators, which were created only for this rendering
+    const disposeSoundGenerators = () => {
+      _.values( soundGenerators ).forEach( soundGenerator => soundGenerator.dispose() );
+    };
+
+    return Promise.all( options.soundInfos.concat( [ reverbImpulseResponse ] ).map(
+      soundInfo => decodeSoundInfo( soundInfo, audioContext )
+    ) ).then( decodedAudioBuffers => {
+
+      // Build the output portion of the audio graph.  This parallels what is done in the sound manager.
+      let outputNode = audioContext.destination;
+      if ( options.includeLimiter ) {
+        const limiter = audioContext.createDynamicsCompressor();
+        const limiterParameters = soundManager.getLimiterParameters();
+        _.keys( limiterParameters ).forEach( parameterName => {
+          limiter[ parameterName ].setValueAtTime( limiterParameters[ parameterName ], 0 );
+        } );
+        limiter.connect( outputNode );
+        outputNode = limiter;
+      }
+      const masterGainNode = audioContext.createGain();
+      masterGainNode.connect( outputNode );
+      const convolver = audioContext.createConvolver();
+      convolver.buffer = _.last( decodedAudioBuffers );
+      const reverbGainNode = audioContext.createGain();
+      reverbGainNode.gain.setValueAtTime( options.reverbLevel, 0 );
+      convolver.connect( reverbGainNode );
+      reverbGainNode.connect( masterGainNode );
+      const dryGainNode = audioContext.createGain();
+      dryGainNode.gain.setValueAtTime( 1 - options.reverbLevel, 0 );
+      dryGainNode.connect( masterGainNode );
+
+      // create the sound generators and hook them up
+      soundGenerators = options.createSoundGenerators( audioContext );
+      _.values( soundGenerators ).forEach( soundGenerator => {
+        soundGenerator.connect( convolver );
+        soundGenerator.connect( dryGainNode );
+      } );
+
+      // function to perform an action
+      const performAction = action => {
+        if ( action.callback ) {
+          action.callback( soundGenerators );
+        }
+        else {
+          const soundGenerator = soundGenerators[ action.soundGenerator ];
+          assert && assert( soundGenerator, 'no sound generator with name = ' + action.soundGenerator );
+          soundGenerator[ action.method ].apply( soundGenerator, action.args || [] );
+        }
+      };
+
+      // Group the actions by time.  Actions at time zero are done now, the others are done by suspending the rendering
+      // at the specified time, performing the actions, then resuming.  Note that the times at which the rendering is
+      // suspended are quantized to the render block size by the audio context.
+      const actionsByTime = _.groupBy( options.actions, action => action.time );
+      _.keys( actionsByTime ).forEach( timeKey => {
+        const actions = actionsByTime[ timeKey ];
+        const time = actions[ 0 ].time;
+        if ( time === 0 ) {
+          actions.forEach( performAction );
+        }
+        else {
+          audioContext.suspend( time ).then( () => {
+
+            // Always resume, since rendering would otherwise never complete.  Errors are reported once it has.
+            try {
+              actions.forEach( performAction );
+            }
+            catch( error ) {
+              actionError = actionError || error;
+            }
+            finally {
+              audioContext.resume();
+            }
+          } );
+        }
+      } );
+
+      return audioContext.startRendering();
+    } ).then( audioBuffer => {
+      disposeSoundGenerators();
+      if ( actionError ) {
+        throw actionError;
+      }
+      const wavData = wavEncoder.encodeAudioBuffer( audioBuffer );
+      return {
+        audioBuffer: audioBuffer,
+        wavData: wavData,
+        wavBlob: wavEncoder.createBlob( wavData )
+      };
+    }, error => {
+      disposeSoundGenerators();
+      throw error;
+    } );
+  }
+};
+
+tambo.register( 'offlineSoundRenderer', offlineSoundRenderer );
+
+export default offlineSoundRenderer;
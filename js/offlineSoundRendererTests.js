@@ -0,0 +1,45 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for offlineSoundRenderer
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import offlineSoundRenderer from './offlineSoundRenderer.js';
+import phetAudioContext from './phetAudioContext.js';
+
+QUnit.module( 'offlineSoundRenderer' );
+
+QUnit.test( 'rendered length and channel count', assert => {
+  const done = assert.async();
+  const duration = 0.5;
+  offlineSoundRenderer.render( {
+    duration: duration,
+    numberOfChannels: 1,
+    reverbLevel: 0
+  } ).then( result => {
+    assert.equal( result.audioBuffer.sampleRate, phetAudioContext.sampleRate, 'default sample rate' );
+    assert.equal( result.audioBuffer.length, Math.ceil( duration * phetAudioContext.sampleRate ), 'rendered length' );
+    assert.equal( result.audioBuffer.numberOfChannels, 1, 'rendered channel count' );
+    assert.ok( result.wavBlob.size > 0, 'WAV data produced' );
+    done();
+  } ).catch( error => {
+    assert.ok( false, 'rendering failed: ' + error );
+    done();
+  } );
+} );
+
+QUnit.test( 'errors thrown by actions reject the render', assert => {
+  const done = assert.async();
+  offlineSoundRenderer.render( {
+    duration: 0.5,
+    actions: [ { time: 0.25, callback: () => { throw new Error( 'action error' ); } } ]
+  } ).then( () => {
+    assert.ok( false, 'rendering should have been rejected' );
+    done();
+  } ).catch( error => {
+    assert.equal( error.message, 'action error', 'error from action was passed along' );
+    done();
+  } );
+} );
@@ -29,19 +29,39 @@ const STUBBED_AUDIO_CONTEXT = {
 
   // methods and properties are in alphabetical order, please maintain this for ease of maintenance
 
+  createAnalyser: function() {
+    logUnimplementedWarning();
+    return {
+      connect: silentStub,
+      disconnect: silentStub,
+      fftSize: 2048,
+      getFloatTimeDomainData: silentStub
+    };
+  },
   createBiquadFilter: function() {
     logUnimplementedWarning();
     return {
       connect: silentStub,
+      detune: {
+        setTargetAtTime: silentStub,
+        setValueAtTime: silentStub
+      },
+      disconnect: silentStub,
       frequency: {
         linearRampToValueAtTime: silentStub,
         setTargetAtTime: silentStub,
         setValueAtTime: silentStub
       },
+      gain: {
+        setTargetAtTime: silentStub,
+        setValueAtTime: silentStub
+      },
       Q: {
         linearRampToValueAtTime: silentStub,
+        setTargetAtTime: silentStub,
         setValueAtTime: silentStub
-      }
+      },
+      type: 'lowpass'
     };
   },
   createBuffer: function() {
@@ -62,7 +82,19 @@ const STUBBED_AUDIO_CONTEXT = {
   createConvolver: function() {
     logUnimplementedWarning();
     return {
-      connect: silentStub
+      connect: silentStub,
+      disconnect: silentStub
+    };
+  },
+  createDelay: function() {
+    logUnimplementedWarning();
+    return {
+      connect: silentStub,
+      delayTime: {
+        setTargetAtTime: silentStub,
+        setValueAtTime: silentStub
+      },
+      disconnect: silentStub
     };
   },
   createDynamicsCompressor: function() {
@@ -78,6 +110,7 @@ const STUBBED_AUDIO_CONTEXT = {
       ratio: {
         setValueAtTime: silentStub
       },
+      reduction: 0,
       release: {
         setValueAtTime: silentStub
       },
@@ -103,17 +136,42 @@ const STUBBED_AUDIO_CONTEXT = {
     logUnimplementedWarning();
     return {
       connect: silentStub,
+      disconnect: silentStub,
       start: silentStub,
+      stop: silentStub,
       frequency: {
         linearRampToValueAtTime: silentStub,
+        setTargetAtTime: silentStub,
+        setValueAtTime: silentStub
+      },
+      type: 'sine'
+    };
+  },
+  createStereoPanner: function() {
+    logUnimplementedWarning();
+    return {
+      connect: silentStub,
+      disconnect: silentStub,
+      pan: {
+        setTargetAtTime: silentStub,
         setValueAtTime: silentStub
       }
     };
   },
+  createWaveShaper: function() {
+    logUnimplementedWarning();
+    return {
+      connect: silentStub,
+      curve: null,
+      disconnect: silentStub,
+      oversample: 'none'
+    };
+  },
   currentTime: 0,
   decodeAudioData: logUnimplementedWarning,
   destination: null,
   resume: logUnimplementedWarning,
+  sampleRate: 44100,
   state: 'running',
 
   // this is a flag that is specific to the stubbed audio context, allowing it to be identified
@@ -14,7 +14,7 @@ import tambo from '../tambo.js';
 
 // create the shared sound instance
 const toggleOffSoundPlayer = new SharedSoundClip( toggleOffSoundInfo, {
-  soundClipOptions: { initialOutputLevel: 0.7 },
+  soundClipOptions: { initialOutputLevel: 0.7, vibrationPattern: 10 },
   soundManagerOptions: { categoryName: 'user-interface' }
 } );
 
@@ -14,7 +14,7 @@ import tambo from '../tambo.js';
 
 // create the shared sound instance
 const toggleOnSoundPlayer = new SharedSoundClip( toggleOnSoundInfo, {
-  soundClipOptions: { initialOutputLevel: 0.7 },
+  soundClipOptions: { initialOutputLevel: 0.7, vibrationPattern: 20 },
   soundManagerOptions: { categoryName: 'user-interface' }
 } );
 
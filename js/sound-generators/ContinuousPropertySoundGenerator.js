@@ -9,6 +9,7 @@
  */
 
 import merge from '../../../phet-core/js/merge.js';
+import soundManager from '../soundManager.js';
 import tambo from '../tambo.js';
 import SoundClip from './SoundClip.js';
 
@@ -19,7 +20,9 @@ class ContinuousPropertySoundGenerator extends SoundClip {
    * @param {Object} sound - returned by the sound! plugin, should be optimized for good continuous looping, which may
    * require it to be a .wav file, since .mp3 files generally have a bit of silence at the beginning.
    * @param {Range} range
-   * @param {Property.<boolean>} resetInProgressProperty
+   * @param {Property.<boolean>|null} resetInProgressProperty - if provided, no sound is produced while this is true,
+   * though it is generally better to add it to the sound manager as a suppressing Property, see
+   * soundManager.addSuppressingProperty
    * @param {Object} [options]
    * @constructor
    */
@@ -68,7 +71,8 @@ class ContinuousPropertySoundGenerator extends SoundClip {
     // function for starting the sound or adjusting the volume
     const listener = value => {
 
-      if ( !resetInProgressProperty.value && !phet.joist.sim.isSettingPhetioStateProperty.value ) {
+      const resetInProgress = resetInProgressProperty && resetInProgressProperty.value;
+      if ( !soundManager.soundSuppressedProperty.value && !resetInProgress ) {
 
         // calculate the playback rate based on the amount of force, see the design document for detailed explanation
         const normalizedValue = Math.log( value / range.min ) / Math.log( range.max / range.min );
@@ -100,13 +104,16 @@ class ContinuousPropertySoundGenerator extends SoundClip {
   }
 
   /**
-   * Step this sound generator, used for fading out the sound in the absence change.
-   * @param {number} dt
+   * Step this sound generator, used for fading out the sound in the absence change.  If this sound generator was added
+   * to the sound manager with the scaleWithTimeSpeed option, the fade timing is scaled by the sound manager's
+   * timeSpeedProperty, so dt should be the elapsed wall-clock time rather than the model's dt, which may already be
+   * scaled by the sim's speed.
+   * @param {number} dt - elapsed wall-clock time, in seconds
    * @public
    */
   step( dt ) {
     if ( this.remainingFadeTime > 0 ) {
-      this.remainingFadeTime = Math.max( this.remainingFadeTime - dt, 0 );
+      this.remainingFadeTime = Math.max( this.remainingFadeTime - dt * this.timeSpeed, 0 );
 
       if ( ( this.remainingFadeTime < this.fadeTime + this.delayBeforeStop ) && this.outputLevel > 0 ) {
 
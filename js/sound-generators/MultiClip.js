@@ -37,6 +37,9 @@ class MultiClip extends SoundGenerator {
     // @private {AudioBufferSource[]} - buffer sources that are currently playing, used if they need to be stopped early
     this.activeBufferSources = [];
 
+    // @private {Map.<AudioBufferSourceNode,Voice>} - voices allocated for each of the active buffer sources
+    this.voicesForBufferSources = new Map();
+
     // @private
     this.valueToAudioBufferMap = new Map();
 
@@ -61,7 +64,7 @@ class MultiClip extends SoundGenerator {
 
     // @private {GainNode} - a gain node that is used to prevent clicks when stopping the sounds
     this.localGainNode = this.audioContext.createGain();
-    this.localGainNode.connect( this.masterGainNode );
+    this.localGainNode.connect( this.soundSourceDestination );
 
     // listen to the Property that indicates whether we are fully enabled and stop sounds if and when it goes false
     this.fullyEnabledProperty.lazyLink( fullyEnabled => {
@@ -74,8 +77,9 @@ class MultiClip extends SoundGenerator {
   /**
    * play the sound associated with the provided value
    * @param {*} value
+   * @param {string|Property.<string>} [caption] - closed caption for this sound, overrides the one set for this clip
    */
-  playAssociatedSound( value ) {
+  playAssociatedSound( value, caption ) {
 
     // get the audio buffer for this value
     const audioBuffer = this.valueToAudioBufferMap.get( value );
@@ -91,16 +95,35 @@ class MultiClip extends SoundGenerator {
       // make sure the decoding of the audio data is complete before trying to play the sound
       if ( audioBuffer ) {
 
-        // make sure the local gain is set to unity value
-        this.localGainNode.gain.cancelScheduledValues( now );
-        this.localGainNode.gain.setValueAtTime( 1, now );
-
         // create an audio buffer source node and connect it to the previously data in the audio buffer
         const bufferSource = this.audioContext.createBufferSource();
         bufferSource.buffer = audioBuffer;
 
+        // create a gain node for this source so that it can be faded out individually if its voice is stolen
+        const voiceGainNode = this.audioContext.createGain();
+
+        // request a voice, and don't play the sound if one isn't available
+        const voice = this.allocateVoice( {
+          steal: fadeTime => {
+            const stealTime = this.audioContext.currentTime;
+            voiceGainNode.gain.setTargetAtTime( 0, stealTime, fadeTime / 4.61 );
+            bufferSource.stop( stealTime + fadeTime );
+            this.removeActiveBufferSource( bufferSource );
+          }
+        } );
+        if ( !voice ) {
+          return;
+        }
+        this.voicesForBufferSources.set( bufferSource, voice );
+        this.logSoundEvent( 'playAssociatedSound', { value: value }, caption );
+
+        // make sure the local gain is set to unity value
+        this.localGainNode.gain.cancelScheduledValues( now );
+        this.localGainNode.gain.setValueAtTime( 1, now );
+
         // connect this source node to the output
-        bufferSource.connect( this.localGainNode );
+        bufferSource.connect( voiceGainNode );
+        voiceGainNode.connect( this.localGainNode );
 
         // add this to the list of active sources so that it can be stopped if necessary
         this.activeBufferSources.push( bufferSource );
@@ -109,10 +132,7 @@ class MultiClip extends SoundGenerator {
         bufferSource.onended = () => {
 
           // remove the source from the list of active sources
-          const indexOfSource = this.activeBufferSources.indexOf( bufferSource );
-          if ( indexOfSource > -1 ) {
-            this.activeBufferSources.splice( indexOfSource, 1 );
-          }
+          this.removeActiveBufferSource( bufferSource );
         };
 
         // start the playback of the sound
@@ -124,6 +144,11 @@ class MultiClip extends SoundGenerator {
         console.warn( 'attempted to play audio buffer before decoding completed' );
       }
     }
+    else {
+
+      // record the request even though the sound isn't produced, the event will be marked as inaudible
+      this.logSoundEvent( 'playAssociatedSound', { value: value }, caption );
+    }
   }
 
   /**
@@ -131,8 +156,8 @@ class MultiClip extends SoundGenerator {
    */
   stopAll() {
 
-    // make sure the decoding of the audio data has completed before stopping anything
-    if ( this.audioBuffer ) {
+    // only do something if there are sounds playing
+    if ( this.activeBufferSources.length > 0 ) {
 
       // Simply calling stop() on the buffer source frequently causes an audible click, so we use a gain node and turn
       // down the gain, effectively doing a fade out, before stopping playback.
@@ -142,8 +167,27 @@ class MultiClip extends SoundGenerator {
 
       // The WebAudio spec is a bit unclear about whether stopping a sound will trigger an onended event.  In testing
       // on Chrome in September 2018, I (jbphet) found that onended was NOT being fired when stop() was called, so the
-      // code below is needed to clear the array of all active buffer sources.
+      // code below is needed to clear the array of all active buffer sources and release their voices.
       this.activeBufferSources.length = 0;
+      this.voicesForBufferSources.forEach( voice => { voice.release(); } );
+      this.voicesForBufferSources.clear();
+    }
+  }
+
+  /**
+   * remove a buffer source from the list of active sources and release its voice
+   * @param {AudioBufferSourceNode} bufferSource
+   * @private
+   */
+  removeActiveBufferSource( bufferSource ) {
+    const indexOfSource = this.activeBufferSources.indexOf( bufferSource );
+    if ( indexOfSource > -1 ) {
+      this.activeBufferSources.splice( indexOfSource, 1 );
+    }
+    const voice = this.voicesForBufferSources.get( bufferSource );
+    if ( voice ) {
+      voice.release();
+      this.voicesForBufferSources.delete( bufferSource );
     }
   }
 }
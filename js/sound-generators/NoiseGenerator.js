@@ -138,10 +138,16 @@ class NoiseGenerator extends SoundGenerator {
     // @private {AudioBufferSourceNode|null} - the source node from which the noise is played, set when play is called
     this.noiseSource = null;
 
+    // @private {Voice|null} - the voice allocated for the noise source when it is playing
+    this.noiseVoice = null;
+
     // @private {OscillatorNode} - a low frequency oscillator (LFO) for amplitude modulation
     this.lfo = this.audioContext.createOscillator();
     this.lfo.type = options.lfoType;
 
+    // @private {number} - frequency of the LFO at normal time speed, in Hz
+    this.lfoFrequency = options.lfoInitialFrequency;
+
     // initialize LFO frequency, updated through methods defined below
     this.lfo.frequency.setValueAtTime( options.lfoInitialFrequency, now );
     this.lfo.start();
@@ -165,7 +171,7 @@ class NoiseGenerator extends SoundGenerator {
     }
 
     // wire up the audio path, working our way from the output back to the sound source(s)
-    this.lfoControlledGainNode.connect( this.masterGainNode );
+    this.lfoControlledGainNode.connect( this.soundSourceDestination );
     let nextOutputToConnect = this.lfoControlledGainNode;
     if ( highPassFilter ) {
       highPassFilter.connect( nextOutputToConnect );
@@ -186,15 +192,26 @@ class NoiseGenerator extends SoundGenerator {
     // @public (read-only) {boolean}
     this.isPlaying = false;
 
+    // @private {boolean} - true when the noise was stopped, or was asked to start, while the sim clock was paused, and
+    // should be started when time starts passing again, see setTimeSpeed
+    this.pausedForTimeSpeed = false;
+
     // @private {number} - time at which a deferred play request occurred.
     this.timeOfDeferredStartRequest = Number.NEGATIVE_INFINITY;
 
+    // @private {string|Property.<string>|undefined} - caption that was passed in with the deferred start request
+    this.deferredStartCaption = undefined;
+
     // @private {function} - callback for when audio context isn't in 'running' state, see usage
     this.audioContextStateChangeListener = state => {
 
-      if ( state === 'running' && this.isPlaying ) {
+      if ( state === 'running' ) {
 
-        this.start();
+        // Start the noise source directly rather than via start, since start ignores requests while the noise is
+        // flagged as playing, which it is while a start is deferred.
+        if ( this.isPlaying && !this.noiseSource ) {
+          this.isPlaying = this.startNoiseSource( 0, this.deferredStartCaption );
+        }
 
         // automatically remove after firing
         audioContextStateChangeMonitor.removeStateChangeListener(
@@ -208,21 +225,21 @@ class NoiseGenerator extends SoundGenerator {
   /**
    * start the noise source
    * @param {number} [delay] - optional delay for when to start the noise source, in seconds
+   * @param {string|Property.<string>} [caption] - closed caption for this sound, overrides the generator's caption
    */
-  start( delay ) {
+  start( delay, caption ) {
 
-    if ( this.audioContext.state === 'running' ) {
+    // the noise doesn't play while the sim clock is paused, but is started once time is passing again
+    if ( this.timeSpeed === 0 ) {
+      this.pausedForTimeSpeed = true;
+      return;
+    }
 
-      delay = ( delay === undefined ) ? 0 : delay;
-      const now = this.audioContext.currentTime;
+    if ( this.isAudioContextReady() ) {
 
       // only do something if not already playing, otherwise ignore this request
-      if ( !this.isPlaying ) {
-        this.noiseSource = this.audioContext.createBufferSource();
-        this.noiseSource.buffer = this.noiseBuffer;
-        this.noiseSource.loop = true;
-        this.noiseSource.connect( this.noiseSourceConnectionPoint );
-        this.noiseSource.start( now + delay );
+      if ( !this.isPlaying && !this.startNoiseSource( delay === undefined ? 0 : delay, caption ) ) {
+        return;
       }
     }
     else {
@@ -230,6 +247,8 @@ class NoiseGenerator extends SoundGenerator {
       // This method was called when the audio context was not yet running, so add a listener to start if and when the
       // audio context state changes.
       this.timeOfDeferredStartRequest = Date.now();
+      this.deferredStartCaption = caption;
+      this.soundDeferredEmitter.emit();
       if ( !audioContextStateChangeMonitor.hasListener( this.audioContext, this.audioContextStateChangeListener ) ) {
         audioContextStateChangeMonitor.addStateChangeListener(
           this.audioContext,
@@ -242,6 +261,46 @@ class NoiseGenerator extends SoundGenerator {
     this.isPlaying = true;
   }
 
+  /**
+   * Create and start the source node that produces the noise, and record the start in the sound event log.
+   * @param {number} delay - delay for when to start the noise source, in seconds
+   * @param {string|Property.<string>} [caption] - closed caption for this sound, overrides the generator's caption
+   * @returns {boolean} - false if no voice was available, in which case the noise isn't started
+   * @private
+   */
+  startNoiseSource( delay, caption ) {
+    const noiseSource = this.audioContext.createBufferSource();
+
+    // create a gain node for this source so that it can be faded out if its voice is stolen
+    const voiceGainNode = this.audioContext.createGain();
+
+    // request a voice, and don't start the noise if one isn't available
+    this.noiseVoice = this.allocateVoice( {
+      steal: fadeTime => {
+        const stealTime = this.audioContext.currentTime;
+        voiceGainNode.gain.setTargetAtTime( 0, stealTime, fadeTime / 4.61 );
+        noiseSource.stop( stealTime + fadeTime );
+        if ( this.noiseSource === noiseSource ) {
+          this.noiseSource = null;
+          this.noiseVoice = null;
+          this.isPlaying = false;
+        }
+      }
+    } );
+    if ( !this.noiseVoice ) {
+      return false;
+    }
+
+    noiseSource.buffer = this.noiseBuffer;
+    noiseSource.loop = true;
+    noiseSource.connect( voiceGainNode );
+    voiceGainNode.connect( this.noiseSourceConnectionPoint );
+    noiseSource.start( this.audioContext.currentTime + delay );
+    this.noiseSource = noiseSource;
+    this.logSoundEvent( 'start', { delay: delay }, caption );
+    return true;
+  }
+
   /**
    * stop the noise source
    * @param {number} [time] - optional audio context time at which this should be stopped
@@ -250,10 +309,16 @@ class NoiseGenerator extends SoundGenerator {
 
     time = time === undefined ? this.audioContext.currentTime : time;
 
+    // an explicit stop cancels any start that was waiting for the sim clock to start
+    this.pausedForTimeSpeed = false;
+
     // only stop if playing, otherwise ignore
     if ( this.isPlaying && this.noiseSource ) {
+      this.logSoundEvent( 'stop', { time: time } );
       this.noiseSource.stop( time );
       this.noiseSource = null;
+      this.noiseVoice.release();
+      this.noiseVoice = null;
     }
     this.isPlaying = false;
   }
@@ -263,7 +328,48 @@ class NoiseGenerator extends SoundGenerator {
    * @public
    */
   setLfoFrequency( frequency ) {
-    this.lfo.frequency.setTargetAtTime( frequency, this.audioContext.currentTime, PARAMETER_CHANGE_TIME_CONSTANT );
+    this.lfoFrequency = frequency;
+    this.lfo.frequency.setTargetAtTime(
+      this.getScaledLfoFrequency(),
+      this.audioContext.currentTime,
+      PARAMETER_CHANGE_TIME_CONSTANT
+    );
+  }
+
+  /**
+   * Get the LFO frequency scaled by the time speed, which isn't scaled when the sim clock is paused since the noise
+   * doesn't play then.
+   * @returns {number}
+   * @private
+   */
+  getScaledLfoFrequency() {
+    return this.timeSpeed > 0 ? this.lfoFrequency * this.timeSpeed : this.lfoFrequency;
+  }
+
+  /**
+   * Scale the LFO frequency by the time speed, and pause the noise while the sim clock is paused.
+   * @param {number} timeSpeed
+   * @protected
+   * @override
+   */
+  setTimeSpeed( timeSpeed ) {
+    const wasPaused = this.timeSpeed === 0;
+    super.setTimeSpeed( timeSpeed );
+
+    if ( timeSpeed === 0 && !wasPaused && this.isPlaying ) {
+      this.stop();
+      this.pausedForTimeSpeed = true;
+    }
+    else if ( timeSpeed > 0 && this.pausedForTimeSpeed ) {
+      this.pausedForTimeSpeed = false;
+      this.start();
+    }
+
+    this.lfo.frequency.setTargetAtTime(
+      this.getScaledLfoFrequency(),
+      this.audioContext.currentTime,
+      PARAMETER_CHANGE_TIME_CONSTANT
+    );
   }
 
   /**
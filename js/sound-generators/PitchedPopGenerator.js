@@ -50,11 +50,11 @@ class PitchedPopGenerator extends SoundGenerator {
     dynamicsCompressorNode.ratio.setValueAtTime( 12, now );
     dynamicsCompressorNode.attack.setValueAtTime( 0, now );
     dynamicsCompressorNode.release.setValueAtTime( 0.25, now );
-    dynamicsCompressorNode.connect( this.masterGainNode );
+    dynamicsCompressorNode.connect( this.soundSourceDestination );
 
     // create the sources - several are created so that pops can be played in rapid succession if desired
-    // @private {{oscillator:OscillatorNode, gainNode:GainNode}[]} - an array of sound source, several are created so
-    // that pops can be played in rapid succession without interfering with one another
+    // @private {{oscillator:OscillatorNode, gainNode:GainNode, voice:Voice|null}[]} - an array of sound source, several
+    // are created so that pops can be played in rapid succession without interfering with one another
     this.soundSources = [];
     _.times( options.numPopGenerators, () => {
 
@@ -73,7 +73,8 @@ class PitchedPopGenerator extends SoundGenerator {
 
       this.soundSources.push( {
         oscillator: oscillator,
-        gainNode: gainNode
+        gainNode: gainNode,
+        voice: null
       } );
     } );
 
@@ -85,21 +86,23 @@ class PitchedPopGenerator extends SoundGenerator {
    * play the pop sound
    * {number} relativePitch - a value from 0 to 1 indicating the frequency to play within the pitch range
    * {number} [duration] - the duration of the sound, in seconds
+   * {string|Property.<string>} [caption] - closed caption for this pop, overrides the one set for this generator
    * @public
    */
-  playPop( relativePitch, duration ) {
+  playPop( relativePitch, duration, caption ) {
 
     assert && assert( relativePitch >= 0 && relativePitch <= 1, 'relative pitch value out of range' );
 
+    // use either the specified or default duration
+    duration = duration || DEFAULT_POP_DURATION;
+
     if ( !this.fullyEnabled ) {
 
-      // ignore the request
+      // ignore the request, but record it, the event will be marked as inaudible
+      this.logSoundEvent( 'playPop', { relativePitch: relativePitch, duration: duration }, caption );
       return;
     }
 
-    // use either the specified or default duration
-    duration = duration || DEFAULT_POP_DURATION;
-
     // determine the frequency value of the pop
     const minFrequency = this.pitchRange.min;
     const maxFrequency = this.pitchRange.max;
@@ -109,8 +112,26 @@ class PitchedPopGenerator extends SoundGenerator {
     const soundSource = this.soundSources[ this.nextSoundSourceIndex ];
     this.nextSoundSourceIndex = ( this.nextSoundSourceIndex + 1 ) % this.soundSources.length;
 
-    // play the pop sound
+    // If the pooled source is still in use from a previous pop, its voice is released, since that pop is being cut off.
+    // Then request a voice for the new pop, which ends once the envelope has decayed to essentially nothing.
     const now = this.audioContext.currentTime;
+    soundSource.voice && soundSource.voice.release();
+    soundSource.voice = this.allocateVoice( {
+      endTime: now + duration + ENVELOPE_TIME_CONSTANT * 5,
+      steal: fadeTime => {
+        soundSource.gainNode.gain.cancelScheduledValues( this.audioContext.currentTime );
+        soundSource.gainNode.gain.setTargetAtTime( 0, this.audioContext.currentTime, fadeTime / 4.61 );
+        soundSource.voice = null;
+      }
+    } );
+    if ( !soundSource.voice ) {
+
+      // no voice was available, so the pop isn't played
+      return;
+    }
+    this.logSoundEvent( 'playPop', { relativePitch: relativePitch, duration: duration }, caption );
+
+    // play the pop sound
     soundSource.gainNode.gain.cancelScheduledValues( now );
     soundSource.oscillator.frequency.setValueAtTime( frequency / 2, now );
     soundSource.gainNode.gain.setValueAtTime( 0, now );
@@ -88,9 +88,12 @@ class SoundClip extends SoundGenerator {
     // again before previous play finishes
     this.activeBufferSources = [];
 
+    // @private {Map.<AudioBufferSourceNode,Voice>} - voices allocated for each of the active buffer sources
+    this.voicesForBufferSources = new Map();
+
     // @private {GainNode} - a gain node that is used to prevent clicks when stopping the sound
     this.localGainNode = this.audioContext.createGain();
-    this.localGainNode.connect( this.masterGainNode );
+    this.localGainNode.connect( this.soundSourceDestination );
 
     // @private {Node} the node that will connect to the bufferSource
     this.connectionNode = null;
@@ -141,9 +144,16 @@ class SoundClip extends SoundGenerator {
     // @public (read-only) - BooleanProperty that indicates whether the sound is being played
     this.isPlayingProperty = new BooleanProperty( false );
 
+    // @private {boolean} - true when this is a loop that was stopped, or that was asked to play, while the sim clock
+    // was paused, and that should be played when time starts passing again, see setTimeSpeed
+    this.loopPausedForTimeSpeed = false;
+
     // @private {number} - time at which a deferred play request occurred, in milliseconds since epoch
     this.timeOfDeferredPlayRequest = Number.NEGATIVE_INFINITY;
 
+    // @private {string|Property.<string>|undefined} - caption that was passed in with the deferred play request
+    this.deferredPlayCaption = undefined;
+
     // @private {function} - callback for when audio context isn't in 'running' state, see usage
     this.audioContextStateChangeListener = state => {
 
@@ -156,7 +166,7 @@ class SoundClip extends SoundGenerator {
           // some browsers the sound would be somewhat muted, probably due to some sort of fade in of the audio levels
           // that the browser does automatically to avoid having the web page's sound start too abruptly.  The amount of
           // delay was empirically determined by testing on multiple browsers.
-          this.play( 0.05 );
+          this.play( 0.05, this.deferredPlayCaption );
         }
 
         // automatically remove after firing
@@ -178,11 +188,18 @@ class SoundClip extends SoundGenerator {
   /**
    * start playing the sound
    * @param {number} [delay] - optional delay parameter, in seconds
+   * @param {string|Property.<string>} [caption] - closed caption for this play, overrides the one set for this clip
    * @public
    */
-  play( delay ) {
+  play( delay, caption ) {
 
-    if ( this.audioContext.state === 'running' ) {
+    // loops don't play while the sim clock is paused, but are started once time is passing again
+    if ( this.loop && this.timeSpeed === 0 ) {
+      this.loopPausedForTimeSpeed = true;
+      return;
+    }
+
+    if ( this.isAudioContextReady() ) {
 
       const now = this.audioContext.currentTime;
 
@@ -197,6 +214,24 @@ class SoundClip extends SoundGenerator {
 
           // create an audio buffer source node that uses the previously decoded audio data
           const bufferSource = this.audioContext.createBufferSource();
+
+          // Create a gain node for this source so that it can be faded out individually if its voice is stolen.
+          const voiceGainNode = this.audioContext.createGain();
+
+          // request a voice, and don't play the sound if one isn't available
+          const voice = this.allocateVoice( {
+            steal: fadeTime => {
+              const stealTime = this.audioContext.currentTime;
+              voiceGainNode.gain.setTargetAtTime( 0, stealTime, fadeTime / 4.61 );
+              bufferSource.stop( stealTime + fadeTime );
+              this.removeActiveBufferSource( bufferSource );
+            }
+          } );
+          if ( !voice ) {
+            return;
+          }
+          this.voicesForBufferSources.set( bufferSource, voice );
+
           bufferSource.buffer = this.audioBuffer;
           bufferSource.loop = this.loop;
           bufferSource.loopStart = this.soundStart;
@@ -208,7 +243,8 @@ class SoundClip extends SoundGenerator {
           this.localGainNode.gain.cancelScheduledValues( now );
           this.localGainNode.gain.setValueAtTime( 1, now );
 
-          bufferSource.connect( this.connectionNode );
+          bufferSource.connect( voiceGainNode );
+          voiceGainNode.connect( this.connectionNode );
 
           // add this to the list of active sources so that it can be stopped if necessary
           this.activeBufferSources.push( bufferSource );
@@ -219,26 +255,28 @@ class SoundClip extends SoundGenerator {
             bufferSource.onended = () => {
 
               // remove the source from the list of active sources
-              const indexOfSource = this.activeBufferSources.indexOf( bufferSource );
-              if ( indexOfSource > -1 ) {
-                this.activeBufferSources.splice( indexOfSource, 1 );
-              }
-              this.isPlayingProperty.value = this.activeBufferSources.length > 0;
+              this.removeActiveBufferSource( bufferSource );
             };
           }
 
           // set the playback rate and start playback
-          bufferSource.playbackRate.setValueAtTime( this.playbackRate, now );
+          bufferSource.playbackRate.setValueAtTime( this.getScaledPlaybackRate(), now );
           bufferSource.start( now + delay, this.soundStart );
           this.isPlayingProperty.value = true;
+          this.logPlayEvent( delay, caption );
         }
         else {
 
           // the play method was called before the sound buffer finished loading, create an action that play the sound
           // once the loading has completed
-          this.loadCompleteAction = () => { this.play(); };
+          this.loadCompleteAction = () => { this.play( delay, caption ); };
         }
       }
+      else if ( !this.fullyEnabled ) {
+
+        // record the request even though the sound isn't produced, the event will be marked as inaudible
+        this.logPlayEvent( delay, caption );
+      }
     }
     else {
 
@@ -247,6 +285,8 @@ class SoundClip extends SoundGenerator {
       // between the request and the state change isn't too great.  Note that this does NOT queue up more than one
       // individual sound to be played.
       this.timeOfDeferredPlayRequest = Date.now();
+      this.deferredPlayCaption = caption;
+      this.soundDeferredEmitter.emit();
       if ( !audioContextStateChangeMonitor.hasListener( this.audioContext, this.audioContextStateChangeListener ) ) {
         audioContextStateChangeMonitor.addStateChangeListener(
           this.audioContext,
@@ -256,6 +296,20 @@ class SoundClip extends SoundGenerator {
     }
   }
 
+  /**
+   * Record the playing of the sound in the sound event log.
+   * @param {number} delay
+   * @param {string|Property.<string>} [caption]
+   * @private
+   */
+  logPlayEvent( delay, caption ) {
+    this.logSoundEvent( 'play', {
+      playbackRate: this.playbackRate,
+      loop: this.loop,
+      delay: delay
+    }, caption );
+  }
+
   /**
    * stop playing the sound
    *
@@ -270,6 +324,9 @@ class SoundClip extends SoundGenerator {
 
     delay = delay === undefined ? DEFAULT_STOP_DELAY : delay;
 
+    // an explicit stop cancels any play that was waiting for the sim clock to start
+    this.loopPausedForTimeSpeed = false;
+
     // make sure the decoding of the audio data has completed before stopping anything
     if ( this.audioBuffer ) {
 
@@ -277,6 +334,11 @@ class SoundClip extends SoundGenerator {
       // information to understand this calculation.
       const fadeTimeConstant = delay > 0 ? delay / 4.61 : soundConstants.DEFAULT_PARAM_CHANGE_TIME_CONSTANT;
 
+      // only log the stop if something was actually playing
+      if ( this.activeBufferSources.length > 0 ) {
+        this.logSoundEvent( 'stop', { delay: delay } );
+      }
+
       // Simply calling stop() on the buffer source frequently causes an audible click, so we use a gain node and turn
       // down the gain, effectively doing a fade out, and then stopping playback.
       const now = this.audioContext.currentTime;
@@ -287,8 +349,10 @@ class SoundClip extends SoundGenerator {
 
       // The WebAudio spec is a bit unclear about whether stopping a sound will trigger an onended event.  In testing
       // on Chrome in September 2018, I (jbphet) found that onended was NOT being fired when stop() was called, so the
-      // code below is needed to clear the array of all active buffer sources.
+      // code below is needed to clear the array of all active buffer sources and release their voices.
       this.activeBufferSources.length = 0;
+      this.voicesForBufferSources.forEach( voice => { voice.release(); } );
+      this.voicesForBufferSources.clear();
 
       // clear the flag
       this.isPlayingProperty.value = false;
@@ -309,6 +373,24 @@ class SoundClip extends SoundGenerator {
     }
   }
 
+  /**
+   * Remove a buffer source from the list of active sources, release its voice, and update the playing state.
+   * @param {AudioBufferSourceNode} bufferSource
+   * @private
+   */
+  removeActiveBufferSource( bufferSource ) {
+    const indexOfSource = this.activeBufferSources.indexOf( bufferSource );
+    if ( indexOfSource > -1 ) {
+      this.activeBufferSources.splice( indexOfSource, 1 );
+    }
+    const voice = this.voicesForBufferSources.get( bufferSource );
+    if ( voice ) {
+      voice.release();
+      this.voicesForBufferSources.delete( bufferSource );
+    }
+    this.isPlayingProperty.value = this.activeBufferSources.length > 0;
+  }
+
   /**
    * play sound and change the speed as playback occurs
    * @param {number} playbackRate - desired playback speed, 1 = normal speed
@@ -317,12 +399,56 @@ class SoundClip extends SoundGenerator {
    */
   setPlaybackRate( playbackRate, timeConstant ) {
     timeConstant = typeof timeConstant === 'undefined' ? DEFAULT_TC : timeConstant;
+    this.playbackRate = playbackRate;
     if ( this.rateChangesAffectPlayingSounds ) {
       this.activeBufferSources.forEach( bufferSource => {
-        bufferSource.playbackRate.setTargetAtTime( playbackRate, this.audioContext.currentTime, timeConstant );
+        bufferSource.playbackRate.setTargetAtTime(
+          this.getScaledPlaybackRate(),
+          this.audioContext.currentTime,
+          timeConstant
+        );
       } );
     }
-    this.playbackRate = playbackRate;
+  }
+
+  /**
+   * Get the playback rate scaled by the time speed.  The rate isn't scaled when the sim clock is paused, since the
+   * only sounds that play then are one-shots that aren't tied to the passage of time.
+   * @returns {number}
+   * @private
+   */
+  getScaledPlaybackRate() {
+    return this.timeSpeed > 0 ? this.playbackRate * this.timeSpeed : this.playbackRate;
+  }
+
+  /**
+   * Scale the playback rate of the playing sounds by the time speed, and pause loops while the sim clock is paused.
+   * @param {number} timeSpeed
+   * @protected
+   * @override
+   */
+  setTimeSpeed( timeSpeed ) {
+    const wasPaused = this.timeSpeed === 0;
+    super.setTimeSpeed( timeSpeed );
+
+    if ( this.loop ) {
+      if ( timeSpeed === 0 && !wasPaused && this.isPlaying ) {
+        this.stop();
+        this.loopPausedForTimeSpeed = true;
+      }
+      else if ( timeSpeed > 0 && this.loopPausedForTimeSpeed ) {
+        this.loopPausedForTimeSpeed = false;
+        this.play();
+      }
+    }
+
+    this.activeBufferSources.forEach( bufferSource => {
+      bufferSource.playbackRate.setTargetAtTime(
+        this.getScaledPlaybackRate(),
+        this.audioContext.currentTime,
+        DEFAULT_TC
+      );
+    } );
   }
 
   /**
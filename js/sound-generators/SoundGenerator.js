@@ -7,15 +7,24 @@
  */
 
 import BooleanProperty from '../../../axon/js/BooleanProperty.js';
+import Emitter from '../../../axon/js/Emitter.js';
 import ObservableArray from '../../../axon/js/ObservableArray.js';
 import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import ObjectIO from '../../../tandem/js/types/ObjectIO.js';
+import EffectsChain from '../EffectsChain.js';
 import phetAudioContext from '../phetAudioContext.js';
 import soundConstants from '../soundConstants.js';
+import soundEventLog from '../soundEventLog.js';
 import tambo from '../tambo.js';
+import VoiceManager from '../VoiceManager.js';
 
 // constants
 const DEFAULT_TIME_CONSTANT = soundConstants.DEFAULT_PARAM_CHANGE_TIME_CONSTANT;
 
+// used to create unique IDs for sound generators that don't have a tandem or a name
+let instanceCount = 0;
+
 class SoundGenerator {
 
   /**
@@ -41,10 +50,29 @@ class SoundGenerator {
       // in conjunction with the sonification manager.
       connectImmediately: false,
 
+      // {Array.<AudioNode|{inputNode:AudioNode, outputNode:AudioNode}>} - effects that the sound passes through on its
+      // way from the sound source to the master gain node, more can be added after construction, see addEffect
+      effects: [],
+
       // {BooleanProperty[]} - An initial set of Properties that will be hooked to this sound generator's enabled state,
       // all of which must be true for sound to be produced.  More of these properties can be added after construction
       // via methods if needed.
-      enableControlProperties: []
+      enableControlProperties: [],
+
+      // {string|Property.<string>|null} - A short description of the sound that is shown as a closed caption when the
+      // sound is played, e.g. 'thunder'.  This should generally come from a localized string.  Null means no caption.
+      caption: null,
+
+      // {number|number[]|null} - Vibration pattern that is produced, on devices that support it, when this sound
+      // generator produces sound, see hapticsManager.vibrate.  Null means no vibration.
+      vibrationPattern: null,
+
+      // {string|null} - a name that identifies this sound generator in the sound event log, only used if a tandem is
+      // not provided, since the tandem's ID is used if it is
+      name: null,
+
+      // {Tandem} - if provided, the sound events produced by this sound generator are sent to the PhET-iO data stream
+      tandem: Tandem.OPTIONAL
 
     }, options );
 
@@ -58,12 +86,49 @@ class SoundGenerator {
     // @protected {AudioContext}
     this.audioContext = options.audioContext;
 
+    instanceCount++;
+
+    // @public (read-only) {string} - identifies this sound generator, e.g. in the sound event log
+    this.id = options.tandem.supplied ? options.tandem.phetioID :
+              options.name ? options.name :
+              'soundGenerator' + instanceCount;
+
+    // @private {string|Property.<string>|null} - see options
+    this.caption = options.caption;
+
+    // @public (read-only) {number|number[]|null} - see options
+    this.vibrationPattern = options.vibrationPattern;
+
+    // @public (read-only) {string|null} - name of the category to which this sound generator is assigned, set when
+    // this sound generator is added to the sound manager
+    this.categoryName = null;
+
+    // @public (read-only) {Emitter} - fires when this sound generator does something that produces or stops sound, such
+    // as playing a clip, see soundEventLog for a description of the event
+    this.soundEventEmitter = new Emitter( {
+      parameters: [ { name: 'soundEvent', phetioType: ObjectIO } ],
+      tandem: options.tandem.createTandem( 'soundEventEmitter' ),
+      phetioDocumentation: 'Emits when this sound generator starts or stops a sound.  The event includes parameters ' +
+                           'that describe the sound and whether it was audible.'
+    } );
+
+    // @public (read-only) {Emitter} - fires when this sound generator is asked to produce sound while the audio context
+    // isn't running, which lets the sound manager resume the audio context so that the deferred sound can be produced
+    this.soundDeferredEmitter = new Emitter();
+
     // @private {number}
     this._outputLevel = options.initialOutputLevel;
 
     // @private {AudioParam[]} - a list of all audio nodes to which this sound generator is connected
     this.connectionList = [];
 
+    // @private {VoiceManager|null} - the voice manager that limits the number of simultaneous sound sources that this
+    // sound generator can create, set when this sound generator is added to the sound manager
+    this.voiceManager = null;
+
+    // @private {number} - priority used when requesting voices from the voice manager, higher is more important
+    this.voicePriority = 0;
+
     // @private {ObservableArray.<BooleanProperty>} - A set of boolean Properties that collectively control whether the
     // sound generator is enabled.  All of these must be true in order for the sound generator to be "fully
     // enabled", meaning that it will produce sound.
@@ -114,6 +179,14 @@ class SoundGenerator {
       this.audioContext.currentTime
     );
 
+    // @private {EffectsChain} - insert chain of effects through which the sound passes before the master gain node
+    this.effectsChain = new EffectsChain( { effects: options.effects, audioContext: this.audioContext } );
+    this.effectsChain.outputNode.connect( this.masterGainNode );
+
+    // @protected {AudioNode} - the node to which subclasses should connect their sound sources so that the sound passes
+    // through the effects chain and the master gain node
+    this.soundSourceDestination = this.effectsChain.inputNode;
+
     // if the option specifies immediate connection, connect the master gain node to the audio context destination
     if ( options.connectImmediately ) {
       this.masterGainNode.connect( this.audioContext.destination );
@@ -137,11 +210,45 @@ class SoundGenerator {
       );
     } );
 
+    // @private {SoundGeneratorRegistration|null} - the handle for this sound generator's registration with the sound
+    // manager, null if it hasn't been added to the sound manager
+    this.soundManagerRegistration = null;
+
+    // @public (read-only) {number} - Speed at which time is passing in the sim relative to real time, where 0 means
+    // that the sim clock is paused.  This is always 1 unless this sound generator has opted in to time scaling, see
+    // setTimeSpeedProperty.
+    this.timeSpeed = 1;
+
+    // @private {Property.<number>|null} - Property that controls the time speed, see setTimeSpeedProperty
+    this.timeSpeedProperty = null;
+
+    // @private {function(number)}
+    this.timeSpeedListener = timeSpeed => this.setTimeSpeed( timeSpeed );
+
     // @private {function} - internally used disposal function
     this.disposeSoundGenerator = () => {
 
+      // stop following the time speed first so that nothing is restarted as this sound generator is torn down
+      if ( this.timeSpeedProperty ) {
+        this.timeSpeedProperty.unlink( this.timeSpeedListener );
+        this.timeSpeedProperty = null;
+      }
+
+      // remove this sound generator from the sound manager if it is still there, which tears down everything that the
+      // sound manager created for it
+      this.soundManagerRegistration && this.soundManagerRegistration.remove();
+
       // clearing this observable array should cause the Properties within it to be unlinked
       this.enableControlProperties.clear();
+
+      this.effectsChain.dispose();
+      this.masterGainNode.disconnect();
+      this.connectionList.length = 0;
+      this.locallyEnabledProperty.dispose();
+      this.fullyEnabledProperty.dispose();
+
+      this.soundEventEmitter.dispose();
+      this.soundDeferredEmitter.dispose();
     };
   }
 
@@ -216,6 +323,164 @@ class SoundGenerator {
     return this.getOutputLevel();
   }
 
+  /**
+   * Set the voice manager that will be used to limit the number of sound sources that this sound generator can have
+   * active at once.  This is generally called by the sound manager when the sound generator is added or removed.
+   * @param {VoiceManager|null} voiceManager - null indicates that the number of voices is not limited
+   * @param {number} [priority] - higher values are more important and less likely to be stolen
+   * @public
+   */
+  setVoiceManager( voiceManager, priority ) {
+    this.voiceManager = voiceManager;
+    this.voicePriority = priority || 0;
+  }
+
+  /**
+   * Request a voice for a sound source that is about to be started.  The returned voice must be released when the
+   * sound source stops.
+   * @param {Object} [options] - see VoiceManager.allocateVoice
+   * @returns {Voice|null} - null if no voice is available, in which case the sound source should not be started
+   * @protected
+   */
+  allocateVoice( options ) {
+    return this.voiceManager ?
+           this.voiceManager.allocateVoice( this, this.voicePriority, options ) :
+           VoiceManager.UNMANAGED_VOICE;
+  }
+
+  /**
+   * Set the name of the category to which this sound generator is assigned.  This is generally called by the sound
+   * manager when the sound generator is added or removed.
+   * @param {string|null} categoryName
+   * @public
+   */
+  setCategoryName( categoryName ) {
+    this.categoryName = categoryName;
+  }
+
+  /**
+   * Add an effect, such as a filter or delay, to the chain of effects through which the sound passes on its way from
+   * the sound source to the master gain node.  This can be done while sound is being produced, and the output is
+   * briefly faded out and back in to avoid clicks.
+   * @param {AudioNode|{inputNode:AudioNode, outputNode:AudioNode}} effect
+   * @param {number} [index] - position in the chain, defaults to the end
+   * @public
+   */
+  addEffect( effect, index ) {
+    this.effectsChain.addEffect( effect, index );
+  }
+
+  /**
+   * Remove an effect that was previously added, see addEffect.
+   * @param {AudioNode|{inputNode:AudioNode, outputNode:AudioNode}} effect
+   * @public
+   */
+  removeEffect( effect ) {
+    this.effectsChain.removeEffect( effect );
+  }
+
+  /**
+   * Move an effect to a different position in the chain of effects, see addEffect.
+   * @param {AudioNode|{inputNode:AudioNode, outputNode:AudioNode}} effect
+   * @param {number} index
+   * @public
+   */
+  moveEffect( effect, index ) {
+    this.effectsChain.moveEffect( effect, index );
+  }
+
+  /**
+   * Get the effects through which this sound generator's sound passes, in order.
+   * @returns {Array.<AudioNode|{inputNode:AudioNode, outputNode:AudioNode}>}
+   * @public
+   */
+  getEffects() {
+    return this.effectsChain.getEffects();
+  }
+
+  /**
+   * Set the Property that controls the speed at which time passes for this sound generator.  This is generally called
+   * by the sound manager for sound generators that opt in to time scaling, and it is used to make sounds that are tied
+   * to model motion match the speed of the sim clock.  Setting this to null returns the time speed to normal.
+   * @param {Property.<number>|null} timeSpeedProperty
+   * @public
+   */
+  setTimeSpeedProperty( timeSpeedProperty ) {
+    if ( this.timeSpeedProperty ) {
+      this.timeSpeedProperty.unlink( this.timeSpeedListener );
+      this.timeSpeedProperty = null;
+      this.setTimeSpeed( 1 );
+    }
+    if ( timeSpeedProperty ) {
+      this.timeSpeedProperty = timeSpeedProperty;
+      timeSpeedProperty.link( this.timeSpeedListener );
+    }
+  }
+
+  /**
+   * Set the speed at which time is passing relative to real time, where 0 means that the sim clock is paused.
+   * Subclasses should override this to scale the things that are time dependent, such as playback rates, and to pause
+   * ongoing sounds, and should call this version.
+   * @param {number} timeSpeed
+   * @protected
+   */
+  setTimeSpeed( timeSpeed ) {
+    assert && assert( timeSpeed >= 0, 'time speed must not be negative: ' + timeSpeed );
+    this.timeSpeed = timeSpeed;
+  }
+
+  /**
+   * Set the handle for this sound generator's registration with the sound manager.  This is called by the sound
+   * manager when the sound generator is added or removed, and is used to remove the sound generator from the sound
+   * manager when it is disposed.
+   * @param {SoundGeneratorRegistration|null} soundManagerRegistration
+   * @public
+   */
+  setSoundManagerRegistration( soundManagerRegistration ) {
+    this.soundManagerRegistration = soundManagerRegistration;
+  }
+
+  /**
+   * Set the caption that describes the sounds produced by this sound generator, see the caption option.
+   * @param {string|Property.<string>|null} caption
+   * @public
+   */
+  setCaption( caption ) {
+    this.caption = caption;
+  }
+
+  /**
+   * Record a sound event, such as the playing or stopping of a sound, in the sound event log and, if this sound
+   * generator is instrumented, the PhET-iO data stream.
+   * @param {string} eventType - e.g. 'play' or 'stop'
+   * @param {Object} [parameters] - values that describe the sound, the output level is always included
+   * @param {string|Property.<string>|null} [caption] - caption for this particular event, overrides the caption that
+   * was set for this sound generator
+   * @protected
+   */
+  logSoundEvent( eventType, parameters, caption ) {
+    const captionSource = caption || this.caption;
+    const soundEvent = soundEventLog.logEvent(
+      this,
+      eventType,
+      _.extend( { outputLevel: this._outputLevel }, parameters ),
+      captionSource ? ( typeof captionSource === 'string' ? captionSource : captionSource.value ) : null
+    );
+    this.soundEventEmitter.emit( soundEvent );
+  }
+
+  /**
+   * Returns true if the audio context is in a state where sounds can be started.  Offline audio contexts, which are
+   * used for rendering faster than real time, are always considered ready, since they are generally suspended when
+   * the sound generators are being told what to do, see offlineSoundRenderer.
+   * @returns {boolean}
+   * @protected
+   */
+  isAudioContextReady() {
+    return this.audioContext.state === 'running' ||
+           ( !!window.OfflineAudioContext && this.audioContext instanceof window.OfflineAudioContext );
+  }
+
   /**
    * add a Property to the list of those used to control the enabled state of this sound generator
    * @param {BooleanProperty} enableControlProperty
@@ -224,6 +489,15 @@ class SoundGenerator {
     this.enableControlProperties.push( enableControlProperty );
   }
 
+  /**
+   * Get the Properties that control the enabled state of this sound generator.
+   * @returns {BooleanProperty[]} - a copy of the list
+   * @public
+   */
+  getEnableControlProperties() {
+    return this.enableControlProperties.getArray().slice();
+  }
+
   /**
    * remove a Property from the list of those used to control the enabled state of this sound generator
    * @param {BooleanProperty} enableControlProperty
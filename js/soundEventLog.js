@@ -0,0 +1,109 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * soundEventLog is a singleton that keeps an in-memory record of the sound events, such as the starting and stopping
+ * of sounds, that are produced by the sound generators.  Each event records the sound generator that produced it, the
+ * category to which the sound generator was assigned, parameters such as the playback rate and output level, and
+ * whether the sound was audible at the time.  This can be used to figure out what sounds a user would have heard
+ * during a session.  Only the most recent events are kept, see setMaxEvents.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import Emitter from '../../axon/js/Emitter.js';
+import soundManager from './soundManager.js';
+import tambo from './tambo.js';
+
+// constants
+const DEFAULT_MAX_EVENTS = 1000;
+
+/**
+ * @typedef SoundEvent
+ * @property {string} eventType - the type of the event, e.g. 'play' or 'stop'
+ * @property {string} soundGeneratorId - identifies the sound generator that produced the event, see SoundGenerator.id
+ * @property {string|null} categoryName - category of the sound generator, null if it isn't in a category
+ * @property {Object} parameters - values that describe the sound that was produced, e.g. playback rate, output level
+ * @property {boolean} audible - whether the sound could be heard at the time, i.e. whether everything on its path to
+ *                               the output was enabled and turned up, see soundManager.isAudible
+ * @property {string|null} caption - closed caption that describes the sound, null if there is none
+ * @property {number} timestamp - time at which the event occurred, in milliseconds since the epoch
+ */
+
+class SoundEventLog {
+
+  constructor() {
+
+    // @private {SoundEvent[]} - the logged events, oldest first
+    this.events = [];
+
+    // @private {number}
+    this.maxEvents = DEFAULT_MAX_EVENTS;
+
+    // @public (read-only) {Emitter} - fires when an event is added to the log
+    this.eventAddedEmitter = new Emitter( { parameters: [ { valueType: Object } ] } );
+  }
+
+  /**
+   * Create an event for the provided sound generator and add it to the log.
+   * @param {SoundGenerator} soundGenerator
+   * @param {string} eventType
+   * @param {Object} parameters
+   * @param {string|null} caption
+   * @returns {SoundEvent} - the event that was created
+   * @public
+   */
+  logEvent( soundGenerator, eventType, parameters, caption ) {
+    const soundEvent = {
+      eventType: eventType,
+      soundGeneratorId: soundGenerator.id,
+      categoryName: soundGenerator.categoryName,
+      parameters: parameters,
+      audible: soundManager.isAudible( soundGenerator ),
+      caption: caption,
+      timestamp: Date.now()
+    };
+    this.events.push( soundEvent );
+    if ( this.events.length > this.maxEvents ) {
+      this.events.shift();
+    }
+    this.eventAddedEmitter.emit( soundEvent );
+    return soundEvent;
+  }
+
+  /**
+   * Get the logged events, optionally filtered.
+   * @param {function(SoundEvent):boolean|Object} [filter] - either a function that returns true for the events that
+   * should be included, or an object with values for one or more of the SoundEvent fields, in which case only the
+   * events that have all of those values are included
+   * @returns {SoundEvent[]} - oldest first
+   * @public
+   */
+  getEvents( filter ) {
+    return filter ? _.filter( this.events, filter ) : this.events.slice();
+  }
+
+  /**
+   * Set the maximum number of events that are kept in the log, older events are discarded when this is exceeded.
+   * @param {number} maxEvents
+   * @public
+   */
+  setMaxEvents( maxEvents ) {
+    assert && assert( maxEvents > 0, 'maxEvents must be positive' );
+    this.maxEvents = maxEvents;
+    if ( this.events.length > maxEvents ) {
+      this.events.splice( 0, this.events.length - maxEvents );
+    }
+  }
+
+  /**
+   * Remove all events from the log.
+   * @public
+   */
+  clear() {
+    this.events.length = 0;
+  }
+}
+
+const soundEventLog = new SoundEventLog();
+tambo.register( 'soundEventLog', soundEventLog );
+export default soundEventLog;
@@ -6,15 +6,40 @@
  *  - master enable/disable
  *  - master gain control
  *  - enable/disable of sounds based on visibility of an associated Scenery node
- *  - enable/disable of sounds based on their assigned sonification level (e.g. "basic" or "enhanced")
- *  - gain control for sounds based on their assigned category, e.g. UI versus sim-specific sounds
- *  - a shared reverb unit to add some spatialization and make all sounds seem to originate with the same space
+ *  - suppression of all sounds while any of a set of Properties, such as a model's resetInProgressProperty, are true
+ *  - enable/disable of sounds based on their assigned sonification level (e.g. "basic" or "enhanced"), where sims can
+ *    define their own ordered set of levels and the user selects one of them
+ *  - gain control and enable/disable for sounds based on their assigned category, e.g. UI versus sim-specific sounds,
+ *    where categories can be added and removed at any time and can be nested within one another
+ *  - chains of effects, such as delays and filters, that apply to all of the sounds in a category
+ *  - a shared reverb unit to add some spatialization and make all sounds seem to originate with the same space, with
+ *    named presets and the ability to switch impulse responses at runtime
+ *  - stereo panning of individual sound generators, either set explicitly or based on the position of a Scenery node
+ *  - ducking, meaning automatic reduction of the level of some categories while other sounds are being produced
+ *  - a limit on the number of simultaneous voices, with lower priority voices stolen when the limit is reached
+ *  - an optional equalizer in the master output path with presets for common listening situations
+ *  - a configurable limiter at the end of the output path that reports how much gain reduction it is applying
+ *  - level meters for the master output and each category
+ *  - optional persistence of the user's sound preferences across sessions
+ *  - optional suspension of the audio context when no sounds have been produced for a while, which saves power
+ *  - closed captions for the sounds that are played, see captionEmitter
+ *  - optional scaling of sounds to match the speed of the sim clock, see timeSpeedProperty
+ *  - vibrations, via the hapticsManager, for sound generators that have a vibration pattern
+ *  - recording of the sound output to a WAV file, see startRecording
  *
  *  The singleton object must be initialized before sound generators can be added.
  */
 
 import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
+import Emitter from '../../axon/js/Emitter.js';
+import NumberProperty from '../../axon/js/NumberProperty.js';
 import Property from '../../axon/js/Property.js';
+import StringProperty from '../../axon/js/StringProperty.js';
+import timer from '../../axon/js/timer.js';
+import Range from '../../dot/js/Range.js';
+import Utils from '../../dot/js/Utils.js';
+import packageJSON from '../../joist/js/packageJSON.js';
 import merge from '../../phet-core/js/merge.js';
 import Display from '../../scenery/js/display/Display.js';
 import DisplayedProperty from '../../scenery/js/util/DisplayedProperty.js';
@@ -22,18 +47,75 @@ import PhetioObject from '../../tandem/js/PhetioObject.js';
 import Tandem from '../../tandem/js/Tandem.js';
 import reverbImpulseResponse from '../sounds/empty_apartment_bedroom_06_resampled_mp3.js';
 import audioContextStateChangeMonitor from './audioContextStateChangeMonitor.js';
+import hapticsManager from './hapticsManager.js';
+import InvertedBooleanProperty from './InvertedBooleanProperty.js';
+import LevelMeter from './LevelMeter.js';
+import OutputEqualizer from './OutputEqualizer.js';
+import OutputRecorder from './OutputRecorder.js';
 import phetAudioContext from './phetAudioContext.js';
+import SoundCategory from './SoundCategory.js';
 import soundConstants from './soundConstants.js';
+import SoundGeneratorRegistration from './SoundGeneratorRegistration.js';
+import SoundInfo from './SoundInfo.js';
 import soundInfoDecoder from './soundInfoDecoder.js';
+import SoundInspector from './SoundInspector.js';
 import SoundLevelEnum from './SoundLevelEnum.js';
+import SoundPreferences from './SoundPreferences.js';
+import SoundUtils from './SoundUtils.js';
 import tambo from './tambo.js';
 import TamboQueryParameters from './TamboQueryParameters.js';
-
-// sounds
+import VoiceManager from './VoiceManager.js';
 
 // constants
 const DEFAULT_REVERB_LEVEL = 0.02;
+const DEFAULT_REVERB_CROSSFADE_TIME = 0.5; // in seconds
+const PREFERENCES_STORAGE_KEY = 'phet.tambo.soundPreferences';
+
+// Minimum time, in seconds, between closed captions, and between repeats of the same caption.  These keep the captions
+// readable when sounds are played in rapid succession.
+const MIN_CAPTION_INTERVAL = 0.25;
+const MIN_CAPTION_REPEAT_INTERVAL = 1;
 const LINEAR_GAIN_CHANGE_TIME = soundConstants.DEFAULT_LINEAR_GAIN_CHANGE_TIME; // in seconds
+const DEFAULT_TIME_CONSTANT = soundConstants.DEFAULT_PARAM_CHANGE_TIME_CONSTANT;
+
+// Max pan value used when panning is based on the position of a view node.  Sounds that are panned all the way to one
+// side were found to be a bit jarring, so this keeps them somewhat centered even at the edges of the display.
+const MAX_VIEW_POSITION_PAN = 0.75;
+
+// Minimum change in pan value that will cause an update when panning is based on view position, used to avoid
+// scheduling parameter changes on every frame when nothing is really moving.
+const VIEW_POSITION_PAN_UPDATE_THRESHOLD = 0.01;
+
+// size of the FFT used in the analyser nodes that detect whether a ducking trigger is producing sound, which also
+// determines how many samples are examined on each step
+const DUCKING_ANALYSER_FFT_SIZE = 512;
+
+// default settings for the dynamics compressor that is used as a limiter on the master output, see initialize
+const DEFAULT_LIMITER_PARAMETERS = {
+  threshold: -6, // in dB
+  knee: 5, // in dB
+  ratio: 12,
+  attack: 0, // in seconds
+  release: 0.25 // in seconds
+};
+
+// Built-in reverb presets, see setReverbPreset.  Each preset has an impulse response, which can be a SoundInfo, a
+// function that creates an AudioBuffer using the provided audio context, or null to keep the current impulse response,
+// and a reverb level.  Additional presets can be added using addReverbPreset.
+const BUILT_IN_REVERB_PRESETS = {
+  dry: {
+    impulseResponse: null,
+    reverbLevel: 0
+  },
+  'small-room': {
+    impulseResponse: reverbImpulseResponse,
+    reverbLevel: DEFAULT_REVERB_LEVEL
+  },
+  hall: {
+    impulseResponse: audioContext => SoundUtils.createSynthesizedImpulseResponse( audioContext, 2.5, 4 ),
+    reverbLevel: 0.08
+  }
+};
 
 /**
  * sonification manager object definition
@@ -60,6 +142,25 @@ class SoundManager extends PhetioObject {
                            'disabled.'
     } );
 
+    // @public (read-only) {BooleanProperty} - true when sound is suppressed because one or more of the suppressing
+    // Properties is true, see addSuppressingProperty
+    this.soundSuppressedProperty = new BooleanProperty( false );
+
+    // @public (read-only) {InvertedBooleanProperty} - the inverse of soundSuppressedProperty, which is used as an
+    // enable control for all of the sound generators that are added to the sound manager
+    this.soundNotSuppressedProperty = new InvertedBooleanProperty( this.soundSuppressedProperty );
+
+    // @private {Property.<boolean>[]} - Properties that suppress sound when any of them is true
+    this.suppressingProperties = [];
+
+    // @private {function} - updates the suppressed state when any of the suppressing Properties change
+    this.updateSoundSuppressed = () => {
+      this.soundSuppressedProperty.value = _.some(
+        this.suppressingProperties,
+        suppressingProperty => suppressingProperty.value
+      );
+    };
+
     // @public (read-only) {BooleanProperty} - enabled state for enhanced sounds
     this.enhancedSoundEnabledProperty = new BooleanProperty( phet.chipper.queryParameters.enhancedSoundInitiallyEnabled, {
       tandem: tandem.createTandem( 'enhancedSoundEnabledProperty' ),
@@ -68,28 +169,194 @@ class SoundManager extends PhetioObject {
                            'enabled or disabled. Note that not all simulations that support sound also support enhanced sound.'
     } );
 
-    // @private {Array.<{ soundGenerator:SoundGenerator, sonificationLevel:string }>} - array where the sound
-    // generators are stored along with information about how to manage them
-    this.soundGeneratorInfoArray = [];
+    // @public (read-only) {string[]} - the supported sonification levels, in order from lowest to highest, can be set
+    // during initialization, see initialize
+    this.sonificationLevels = [ SoundLevelEnum.BASIC, SoundLevelEnum.ENHANCED ];
+
+    // @public {StringProperty} - The selected sonification level.  Sound generators at levels above this one are
+    // disabled.  This is kept in sync with enhancedSoundEnabledProperty, which is true when the selected level is
+    // ENHANCED or higher.
+    this.sonificationLevelProperty = new StringProperty(
+      phet.chipper.queryParameters.enhancedSoundInitiallyEnabled ? SoundLevelEnum.ENHANCED : SoundLevelEnum.BASIC,
+      {
+        isValidValue: sonificationLevel => _.includes( this.sonificationLevels, sonificationLevel ),
+        tandem: tandem.createTandem( 'sonificationLevelProperty' ),
+        phetioFeatured: true,
+        phetioDocumentation: 'The selected sonification level.  Sounds that are assigned to a higher level than this ' +
+                             'one are disabled.'
+      }
+    );
+
+    // @public (read-only) {Object} - map of sonification level names to Properties that are true when that level is at
+    // or below the selected one, created during init
+    this.sonificationLevelEnabledProperties = {};
+
+    // keep the enhanced sound setting and the selected sonification level in sync, only changing the selected level
+    // when it doesn't already match the enhanced sound setting so that levels above ENHANCED can be selected
+    this.enhancedSoundEnabledProperty.lazyLink( enhancedSoundEnabled => {
+      if ( this.isSonificationLevelSelected( SoundLevelEnum.ENHANCED ) !== enhancedSoundEnabled ) {
+        this.sonificationLevelProperty.value = enhancedSoundEnabled ? SoundLevelEnum.ENHANCED : SoundLevelEnum.BASIC;
+      }
+    } );
+    this.sonificationLevelProperty.lazyLink( () => {
+      this.enhancedSoundEnabledProperty.value = this.isSonificationLevelSelected( SoundLevelEnum.ENHANCED );
+    } );
+
+    // @private {SoundGeneratorRegistration[]} - registrations for the sound generators that have been added, which
+    // contain information about how to manage them
+    this.soundGeneratorRegistrations = [];
 
-    // @private {number} - output level for the master gain node when sonification is enabled, valid range is 0 to 1
-    this._masterOutputLevel = 1;
+    // @public {NumberProperty} - output level for the master gain node when sonification is enabled
+    this.masterOutputLevelProperty = new NumberProperty( 1, {
+      range: new Range( 0, 1 ),
+      tandem: tandem.createTandem( 'masterOutputLevelProperty' ),
+      phetioFeatured: true,
+      phetioDocumentation: 'Overall output level for the sound in the sim, where 0 is silent and 1 is full level.  ' +
+                           'This has no effect when sound is disabled.'
+    } );
 
-    // @private {number} - reverb level, needed because some browsers don't support reading of gain values, see
-    // methods for more info
-    this._reverbLevel = DEFAULT_REVERB_LEVEL;
+    // @public {NumberProperty} - amount of reverb, 0 is totally dry and 1 is totally wet.  This is needed, rather than
+    // reading the gain values, because some browsers don't support reading of gain values.
+    this.reverbLevelProperty = new NumberProperty( DEFAULT_REVERB_LEVEL, {
+      range: new Range( 0, 1 ),
+      tandem: tandem.createTandem( 'reverbLevelProperty' ),
+      phetioDocumentation: 'Amount of reverb applied to the sounds, where 0 is none (totally dry) and 1 is all ' +
+                           'reverb (totally wet).'
+    } );
 
-    // @private {Object} - a map of category name to GainNode instances that control gains for that category name,
-    // will be filled in during init, see the usage of options.categories in the initialize function for more 
+    // @private {Object} - a map of category name to SoundCategory instances that control the levels for that category,
+    // will be filled in during init, see the usage of options.categories in the initialize function for more
     // information.
-    this.gainNodesForCategories = {};
+    this.categories = {};
+
+    // @private {Tandem} - parent tandem for the Properties associated with the categories
+    this.categoriesTandem = tandem.createTandem( 'categories' );
+
+    // @private {Ducker[]} - active ducking configurations, see addDucking
+    this.duckers = [];
+
+    // @private {VoiceManager|null} - limits the number of simultaneous sound sources, created during init
+    this.voiceManager = null;
+
+    // @private {DynamicsCompressorNode|null} - compressor used as a limiter at the end of the master output path,
+    // created during init
+    this.limiter = null;
+
+    // @private {OutputRecorder|null} - records the final output of the sound manager, created the first time that
+    // recording is started so that there is no recording overhead unless it is used
+    this.outputRecorder = null;
+
+    // @private {Object} - the current settings of the limiter, see setLimiterParameters
+    this.limiterParameters = _.clone( DEFAULT_LIMITER_PARAMETERS );
+
+    // @public {NumberProperty} - Speed at which time is passing in the sim relative to real time, where 1 is normal
+    // speed and 0 means that the sim clock is paused.  Sims that can run in slow motion or be paused, e.g. via a
+    // TimeControlNode, can set this, and it is applied to the sound generators that opt in to time scaling, see the
+    // scaleWithTimeSpeed option for addSoundGenerator.  Opted in sound generators scale their playback rates and other
+    // time dependent behavior by this value, and loops are paused while it is 0.
+    this.timeSpeedProperty = new NumberProperty( 1, {
+      isValidValue: timeSpeed => timeSpeed >= 0,
+      tandem: tandem.createTandem( 'timeSpeedProperty' ),
+      phetioDocumentation: 'Speed at which time is passing in the sim relative to real time, where 1 is normal speed ' +
+                           'and 0 means that the sim is paused, used to scale sounds that are tied to the motion of ' +
+                           'the model.'
+    } );
+
+    // @public (read-only) {NumberProperty} - the amount of gain reduction that the limiter is currently applying, in
+    // dB, sampled once per frame, 0 means no reduction and more negative values mean more
+    this.limiterReductionProperty = new NumberProperty( 0, {
+      units: 'dB',
+      tandem: tandem.createTandem( 'limiterReductionProperty' ),
+      phetioReadOnly: true,
+      phetioHighFrequency: true,
+      phetioDocumentation: 'The amount of gain reduction, in dB, that the limiter at the end of the sound output ' +
+                           'path is applying, where 0 means none and more negative values mean more.'
+    } );
+
+    // @public (read-only) {Emitter} - fires when heavy limiting has been going on for a sustained period of time, which
+    // generally means that the overall mix is too loud, see the heavy limiting options in initialize.  The parameter is
+    // the amount of time, in seconds, that the heavy limiting has been going on.
+    this.heavyLimitingEmitter = new Emitter( { parameters: [ { valueType: 'number' } ] } );
+
+    // @private {number} - reduction level at or below which limiting is considered heavy, and time, in seconds, for
+    // which heavy limiting needs to occur before being reported, both set during init
+    this.heavyLimitingReduction = 0;
+    this.heavyLimitingTime = 0;
+
+    // @private {number} - amount of time, in seconds, that heavy limiting has been continuously occurring
+    this.heavyLimitingDuration = 0;
+
+    // @private {boolean} - whether the current episode of heavy limiting has already been reported
+    this.heavyLimitingReported = false;
+
+    // @private {number|null} - time, in seconds, without any active voices after which the audio context is suspended,
+    // null if the audio context should never be suspended for being idle, set during init
+    this.idleSuspendTime = null;
+
+    // @private {number} - amount of time, in seconds, for which there have been no active voices
+    this.idleTime = 0;
+
+    // @private {boolean} - true when the audio context has been suspended by this sound manager due to inactivity
+    this.suspendedForIdle = false;
+
+    // @private {SoundInspector|null} - developer tool, only created if specified via query parameter
+    this.soundInspector = null;
+
+    // @private {SoundPreferences|null} - used to save and restore the user's sound settings, only created if specified
+    // in the options during init
+    this.soundPreferences = null;
+
+    // @public (read-only) {LevelMeter|null} - measures the level of the combined output of all sounds after the master
+    // gain, created during init, the meters for the individual categories are available via getCategory
+    this.masterLevelMeter = null;
+
+    // @public (read-only) {OutputEqualizer|null} - equalizer in the master output path, only created if specified in
+    // the options during init, use its Properties to adjust the individual bands
+    this.outputEqualizer = null;
+
+    // @private {Object} - map of preset names to reverb presets, see setReverbPreset
+    this.reverbPresets = _.clone( BUILT_IN_REVERB_PRESETS );
+
+    // @private {{convolver:ConvolverNode, gainNode:GainNode}|null} - the path through which the sound currently goes
+    // to produce the reverb, a new one is created each time the impulse response is changed so that the change can be
+    // done with a crossfade
+    this.activeConvolverPath = null;
+
+    // @private {number} - count of impulse response change requests, used to ignore requests that are superseded by
+    // a newer one before their impulse response is decoded
+    this.impulseResponseRequestCount = 0;
 
     // @private {boolean} - flag that tracks whether the sonification manager has been initialized
     this.initialized = false;
 
-    // @private {Object[]} - sound generators and options that were added before initialization and will be added once
-    // initialization is complete
+    // @private {BooleanProperty|null} - whether the sim is visible and whether it is active, both of which must be true
+    // for sound to be heard, set during initialization
+    this.simVisibleProperty = null;
+    this.simActiveProperty = null;
+
+    // @private {Object[]} - sound generators, options, and registrations that were added before initialization and will
+    // be added once initialization is complete
     this.soundGeneratorsAwaitingAdd = [];
+
+    // @private {Object[]} - categories and options that were added before initialization and will be added once
+    // initialization is complete
+    this.categoriesAwaitingAdd = [];
+
+    // @public (read-only) {Emitter} - fires with a caption string when a sound that has a caption is played and is
+    // audible, see the caption option in SoundGenerator.  The captions are rate limited, and repeats of the same
+    // caption in quick succession are suppressed.
+    this.captionEmitter = new Emitter( { parameters: [ { valueType: 'string' } ] } );
+
+    // @private {string|null} - the most recently emitted caption and the time at which it was emitted, in ms
+    this.previousCaption = null;
+    this.previousCaptionTime = Number.NEGATIVE_INFINITY;
+
+    // @public (read-only) {Emitter} - fires when a sound generator is added, with the sound generator as the parameter
+    this.soundGeneratorAddedEmitter = new Emitter( { parameters: [ { valueType: Object } ] } );
+
+    // @public (read-only) {Emitter} - fires when a sound generator is removed, with the sound generator as the
+    // parameter
+    this.soundGeneratorRemovedEmitter = new Emitter( { parameters: [ { valueType: Object } ] } );
   }
 
   /**
@@ -107,7 +374,51 @@ class SoundManager extends PhetioObject {
       // Categories that can be used to group sound generators together and control their volume as a group - the
       // names can be anything that will work as a key for a JavaScript object, but initially we've chosen to use
       // names with conventions similar to what is commonly seen for CSS classes.
-      categories: [ 'sim-specific', 'user-interface' ]
+      categories: [ 'sim-specific', 'user-interface' ],
+
+      // {number} - maximum number of voices, i.e. sound sources such as playing clips, that the sound generators can
+      // have active at once, can be changed after initialization via setMaxVoices
+      maxVoices: 32,
+
+      // {string} - policy for choosing which voice to steal when the max number of voices is reached and there are
+      // several voices with the lowest priority, valid values are 'oldest' and 'quietest'
+      voiceStealingPolicy: 'oldest',
+
+      // {boolean} - whether to include an equalizer stage in the master output path, which can be used to adjust the
+      // tonal balance of all sounds, e.g. to compensate for poor quality speakers, see setOutputEqualizerPreset
+      includeOutputEqualizer: false,
+
+      // {Object} - settings for the dynamics compressor that is used as a limiter to prevent clipping, can contain
+      // values for threshold, knee, ratio, attack and release, see DynamicsCompressorNode, and can be changed after
+      // initialization via setLimiterParameters
+      limiterOptions: _.clone( DEFAULT_LIMITER_PARAMETERS ),
+
+      // {number} - limiter reduction level, in dB, at or below which limiting is considered to be heavy
+      heavyLimitingReduction: -6,
+
+      // {number} - time, in seconds, for which heavy limiting must continuously occur before heavyLimitingEmitter fires
+      heavyLimitingTime: 1,
+
+      // {boolean} - whether to save the user's sound settings, i.e. the enabled states, master output level, category
+      // levels and reverb level, to the browser's local storage and restore them when the sim is next launched.  Query
+      // parameters that set any of these take precedence over the saved values.
+      persistPreferences: false,
+
+      // {string} - scope of the saved preferences, either 'sim', meaning that each sim has its own preferences, or
+      // 'shared', meaning that all sims that use shared preferences get the same settings
+      preferencesScope: 'sim',
+
+      // {number|null} - If set, the audio context is suspended when no sounds have been produced for this amount of
+      // time, in seconds, which saves power on battery-operated devices.  The audio context is resumed when a sound
+      // generator that has been added to the sound manager is next asked to produce a sound.  Null means never
+      // suspend due to inactivity.
+      idleSuspendTime: null,
+
+      // {string[]} - The sonification levels supported by the sim, in order from lowest to highest.  Sound generators
+      // are assigned to one of these levels when added, and those assigned to levels above the one selected via
+      // sonificationLevelProperty are disabled.  Sims can define their own levels, e.g. [ 'ESSENTIAL', 'BASIC',
+      // 'ENHANCED', 'IMMERSIVE' ], but the levels must include BASIC and ENHANCED, see SoundLevelEnum.
+      sonificationLevels: [ SoundLevelEnum.BASIC, SoundLevelEnum.ENHANCED ]
 
     }, options );
 
@@ -118,65 +429,137 @@ class SoundManager extends PhetioObject {
       'unexpected type of element in options.categories'
     );
 
-    const now = phetAudioContext.currentTime;
+    assert && assert(
+      options.preferencesScope === 'sim' || options.preferencesScope === 'shared',
+      'invalid preferences scope: ' + options.preferencesScope
+    );
+    assert && assert(
+      _.includes( options.sonificationLevels, SoundLevelEnum.BASIC ) &&
+      _.includes( options.sonificationLevels, SoundLevelEnum.ENHANCED ),
+      'sonification levels must include BASIC and ENHANCED'
+    );
+    assert && assert(
+      options.sonificationLevels.indexOf( SoundLevelEnum.BASIC ) <
+      options.sonificationLevels.indexOf( SoundLevelEnum.ENHANCED ),
+      'BASIC must be a lower sonification level than ENHANCED'
+    );
+    assert && assert(
+      _.uniq( options.sonificationLevels ).length === options.sonificationLevels.length,
+      'sonification levels must be unique'
+    );
+
+    // set up the sonification levels, and create a Property for each that is true when that level is selected, which
+    // is used to enable and disable the sound generators at that level
+    this.sonificationLevels = options.sonificationLevels.slice();
+    this.sonificationLevels.forEach( sonificationLevel => {
+      this.sonificationLevelEnabledProperties[ sonificationLevel ] = new DerivedProperty(
+        [ this.sonificationLevelProperty ],
+        () => this.isSonificationLevelSelected( sonificationLevel )
+      );
+    } );
+
+    // restore the user's saved settings and save any changes, if specified
+    if ( options.persistPreferences ) {
+      this.soundPreferences = new SoundPreferences(
+        options.preferencesScope === 'sim' ? PREFERENCES_STORAGE_KEY + '.' + packageJSON.name : PREFERENCES_STORAGE_KEY
+      );
+      this.soundPreferences.addProperty( 'enabled', this.enabledProperty, {
+        restore: !QueryStringMachine.containsKey( 'sound' )
+      } );
+      this.soundPreferences.addProperty( 'sonificationLevel', this.sonificationLevelProperty, {
+        restore: !QueryStringMachine.containsKey( 'enhancedSoundInitiallyEnabled' ),
+        isValidValue: sonificationLevel => _.includes( this.sonificationLevels, sonificationLevel )
+      } );
+      this.soundPreferences.addProperty( 'masterOutputLevel', this.masterOutputLevelProperty );
+      this.soundPreferences.addProperty( 'reverbLevel', this.reverbLevelProperty );
+    }
+
+    this.idleSuspendTime = options.idleSuspendTime;
+
+    this.simVisibleProperty = simVisibleProperty;
+    this.simActiveProperty = simActiveProperty;
+
+    // the haptics manager uses the same rules as the sound for when output is allowed
+    hapticsManager.initialize( simVisibleProperty, simActiveProperty );
+
+    // sounds produced as a side effect of setting the PhET-iO state shouldn't be heard
+    this.addSuppressingProperty( phet.joist.sim.isSettingPhetioStateProperty );
+
+    // create the voice manager that will limit the number of simultaneous voices
+    this.voiceManager = new VoiceManager( {
+      maxVoices: options.maxVoices,
+      stealingPolicy: options.voiceStealingPolicy
+    } );
 
     // the final stage is a dynamics compressor that is used essentially as a limiter to prevent clipping
-    const dynamicsCompressor = phetAudioContext.createDynamicsCompressor();
-    dynamicsCompressor.threshold.setValueAtTime( -6, now );
-    dynamicsCompressor.knee.setValueAtTime( 5, now );
-    dynamicsCompressor.ratio.setValueAtTime( 12, now );
-    dynamicsCompressor.attack.setValueAtTime( 0, now );
-    dynamicsCompressor.release.setValueAtTime( 0.25, now );
-    dynamicsCompressor.connect( phetAudioContext.destination );
+    this.limiter = phetAudioContext.createDynamicsCompressor();
+    this.limiter.connect( phetAudioContext.destination );
+    this.applyLimiterParameters( options.limiterOptions );
+    this.heavyLimitingReduction = options.heavyLimitingReduction;
+    this.heavyLimitingTime = options.heavyLimitingTime;
 
     // create the master gain node for all sounds managed by this sonification manager
     this.masterGainNode = phetAudioContext.createGain();
-    this.masterGainNode.connect( dynamicsCompressor );
 
-    // convolver node, which will be used to create the reverb effect
-    this.convolver = phetAudioContext.createConvolver();
+    // tap the output of the master gain node so that the overall level can be measured
+    this.masterLevelMeter = new LevelMeter( { tandem: this.tandem.createTandem( 'masterLevelMeter' ) } );
+    this.masterGainNode.connect( this.masterLevelMeter.analyserNode );
+
+    // if specified, put an equalizer between the master gain and the limiter
+    if ( options.includeOutputEqualizer ) {
+      this.outputEqualizer = new OutputEqualizer( { tandem: this.tandem.createTandem( 'outputEqualizer' ) } );
+      this.masterGainNode.connect( this.outputEqualizer.inputNode );
+      this.outputEqualizer.outputNode.connect( this.limiter );
+    }
+    else {
+      this.masterGainNode.connect( this.limiter );
+    }
 
     // gain node that will control the reverb level
     this.reverbGainNode = phetAudioContext.createGain();
     this.reverbGainNode.connect( this.masterGainNode );
-    this.reverbGainNode.gain.setValueAtTime( this._reverbLevel, phetAudioContext.currentTime );
-    this.convolver.connect( this.reverbGainNode );
+    this.reverbGainNode.gain.setValueAtTime( this.reverbLevelProperty.value, phetAudioContext.currentTime );
+
+    // Input node for the reverb.  The output of this is sent to the convolver(s) that create the reverb effect, which
+    // are swapped when the impulse response changes.
+    this.reverbInputNode = phetAudioContext.createGain();
 
     // dry (non-reverbed) portion of the output
     this.dryGainNode = phetAudioContext.createGain();
-    this.dryGainNode.gain.setValueAtTime( 1 - this._reverbLevel, phetAudioContext.currentTime );
+    this.dryGainNode.gain.setValueAtTime( 1 - this.reverbLevelProperty.value, phetAudioContext.currentTime );
     this.dryGainNode.gain.linearRampToValueAtTime(
-      1 - this._reverbLevel,
+      1 - this.reverbLevelProperty.value,
       phetAudioContext.currentTime + LINEAR_GAIN_CHANGE_TIME
     );
     this.dryGainNode.connect( this.masterGainNode );
 
-    // load the reverb impulse response into the convolver
-    soundInfoDecoder.decode(
-      reverbImpulseResponse,
-      phetAudioContext,
-      decodedAudioData => { this.convolver.buffer = decodedAudioData; },
-      () => {
+    // adjust the balance between the reverbed and dry portions of the output when the reverb level changes
+    this.reverbLevelProperty.lazyLink( reverbLevel => {
+      const now = phetAudioContext.currentTime;
+      this.reverbGainNode.gain.linearRampToValueAtTime( reverbLevel, now + LINEAR_GAIN_CHANGE_TIME );
+      this.dryGainNode.gain.linearRampToValueAtTime( 1 - reverbLevel, now + LINEAR_GAIN_CHANGE_TIME );
+    } );
 
-        // error handler, we haven't seen this happen, so for now just log a message to the console
-        console.log( 'Error: Unable to decode audio data.' );
-      }
-    );
+    // load the default reverb impulse response
+    this.loadReverbImpulseResponse( reverbImpulseResponse, 0 );
 
-    // create and hook up gain nodes for each of the defined categories
+    // create and hook up the buses for each of the defined categories
     options.categories.forEach( categoryName => {
-      const gainNode = phetAudioContext.createGain();
-      gainNode.connect( this.convolver );
-      gainNode.connect( this.dryGainNode );
-      this.gainNodesForCategories[ categoryName ] = gainNode;
+      this.createCategory( categoryName, {} );
     } );
 
-    // hook up a listener that turns down the gain if sonification is disabled or if the sim isn't visible or isn't
-    // active
+    // hook up a listener that sets the master gain based on the master output level and turns it down if sonification
+    // is disabled or if the sim isn't visible or isn't active
     Property.multilink(
-      [ this.enabledProperty, simVisibleProperty, simActiveProperty, phet.joist.sim.isSettingPhetioStateProperty ],
-      ( enabled, simVisible, simActive, simIsSettingPhetioState ) => {
-        const gain = enabled && simVisible && simActive && !simIsSettingPhetioState ? this._masterOutputLevel : 0;
+      [
+        this.masterOutputLevelProperty,
+        this.enabledProperty,
+        simVisibleProperty,
+        simActiveProperty,
+        phet.joist.sim.isSettingPhetioStateProperty
+      ],
+      ( masterOutputLevel, enabled, simVisible, simActive, simIsSettingPhetioState ) => {
+        const gain = enabled && simVisible && simActive && !simIsSettingPhetioState ? masterOutputLevel : 0;
         this.masterGainNode.gain.linearRampToValueAtTime(
           gain,
           phetAudioContext.currentTime + LINEAR_GAIN_CHANGE_TIME
@@ -250,7 +633,8 @@ class SoundManager extends PhetioObject {
           phetAudioContext.currentTime
         );
 
-        if ( previousAudioContextState === 'running' && state !== 'running' ) {
+        // Don't do this if the audio context was intentionally suspended because of inactivity.
+        if ( previousAudioContextState === 'running' && state !== 'running' && !this.suspendedForIdle ) {
 
           phet.log && phet.log( 'attempting to resume audio context in ' + state + ' state' );
 
@@ -268,13 +652,171 @@ class SoundManager extends PhetioObject {
       } );
     }
 
+    // update the things that need to change over time, such as panning based on view node positions, ducking, and
+    // the levels reported by the meters
+    timer.addListener( dt => {
+      this.updateViewPositionPanning();
+      this.updateDucking( dt );
+      this.updateLimiterReduction( dt );
+      this.updateLevelMeters();
+      this.updateIdleSuspension( dt );
+    } );
+
     this.initialized = true;
 
+    // Add any categories that were waiting for initialization to complete.  This must be done after init is complete
+    // and before the sound generators that were waiting, since those may need these categories.
+    this.categoriesAwaitingAdd.forEach( categoryAwaitingAdd => {
+      this.addCategory( categoryAwaitingAdd.categoryName, categoryAwaitingAdd.options );
+    } );
+    this.categoriesAwaitingAdd.length = 0;
+
     // add any sound generators that were waiting for initialization to complete (must be done after init complete)
     this.soundGeneratorsAwaitingAdd.forEach( soundGeneratorAwaitingAdd => {
-      this.addSoundGenerator( soundGeneratorAwaitingAdd.soundGenerator, soundGeneratorAwaitingAdd.options );
+      this.registerSoundGenerator( soundGeneratorAwaitingAdd.registration, soundGeneratorAwaitingAdd.options );
     } );
     this.soundGeneratorsAwaitingAdd.length = 0;
+
+    // if specified, show the developer tool that displays information about the sound generators
+    if ( TamboQueryParameters.soundInspector ) {
+      this.soundInspector = new SoundInspector( this );
+    }
+  }
+
+  /**
+   * Add a category, which is a bus that can be used to control the level and enabled state of a group of sound
+   * generators.  Categories can be nested, in which case the output of the child category feeds into its parent, so
+   * changes to the parent affect all of its children.  This can be called before initialization, in which case the
+   * category will be added once initialization is complete.
+   * @param {string} categoryName - any string that can be used as a key for a JavaScript object, see initialize
+   * @param {Object} [options]
+   * @public
+   */
+  addCategory( categoryName, options ) {
+
+    // Check if initialization has been done and, if not, queue the category and its options for addition once
+    // initialization is complete.  Note that when sound is not supported, initialization will never occur.
+    if ( !this.initialized ) {
+      this.categoriesAwaitingAdd.push( { categoryName: categoryName, options: options } );
+      return;
+    }
+
+    this.createCategory( categoryName, options );
+  }
+
+  /**
+   * Create a category and hook it into the audio path, see addCategory for details.
+   * @param {string} categoryName
+   * @param {Object} [options]
+   * @private
+   */
+  createCategory( categoryName, options ) {
+
+    options = merge( {
+
+      // {string|null} - name of the category into which this one feeds, null for a top level category
+      parentCategoryName: null,
+
+      // {number} - initial level for this category, from 0 to 1
+      initialLevel: 1,
+
+      // {Array.<AudioNode|{inputNode:AudioNode, outputNode:AudioNode}>} - effects through which all sounds in this
+      // category pass, more can be added later via the category's addEffect method, see getCategory
+      effects: [],
+
+      // {Tandem|null} - tandem for the Properties associated with this category, a tandem under the sound manager's
+      // will be created if null
+      tandem: null
+    }, options );
+
+    assert && assert( typeof categoryName === 'string', 'category name must be a string' );
+    assert && assert( !this.hasCategory( categoryName ), 'category already exists: ' + categoryName );
+    assert && assert(
+      options.parentCategoryName === null || this.hasCategory( options.parentCategoryName ),
+      'no parent category with name = ' + options.parentCategoryName
+    );
+
+    const parentCategory = options.parentCategoryName === null ? null : this.categories[ options.parentCategoryName ];
+    const category = new SoundCategory( categoryName, {
+      parentCategory: parentCategory,
+      initialLevel: options.initialLevel,
+      effects: options.effects,
+      tandem: options.tandem || this.categoriesTandem.createTandem( _.camelCase( categoryName ) )
+    } );
+
+    // connect the category to either its parent or the main output path
+    if ( parentCategory ) {
+      category.outputNode.connect( parentCategory.inputNode );
+    }
+    else {
+      category.outputNode.connect( this.reverbInputNode );
+      category.outputNode.connect( this.dryGainNode );
+    }
+
+    this.categories[ categoryName ] = category;
+
+    // restore and save the level for this category if the user's preferences are being persisted
+    if ( this.soundPreferences ) {
+      this.soundPreferences.addProperty( 'categoryLevels.' + categoryName, category.levelProperty );
+    }
+  }
+
+  /**
+   * Remove a category.  The category must not contain any sound generators or child categories at the time of
+   * removal.  Any ducking that was triggered by the category is removed, and the category is removed from the set of
+   * categories ducked by other triggers.
+   * @param {string} categoryName
+   * @public
+   */
+  removeCategory( categoryName ) {
+
+    // if not yet initialized, the category may still be waiting to be added, in which case it just needs to be dequeued
+    if ( !this.initialized ) {
+      const categoryAwaitingAdd = _.find(
+        this.categoriesAwaitingAdd,
+        categoryAwaitingAdd => categoryAwaitingAdd.categoryName === categoryName
+      );
+      assert && assert( categoryAwaitingAdd, 'unable to remove category - not found: ' + categoryName );
+      this.categoriesAwaitingAdd = _.without( this.categoriesAwaitingAdd, categoryAwaitingAdd );
+      return;
+    }
+
+    assert && assert( this.hasCategory( categoryName ), 'unable to remove category - not found: ' + categoryName );
+    const category = this.categories[ categoryName ];
+
+    assert && assert(
+      !_.some( this.soundGeneratorRegistrations, registration => registration.categoryName === categoryName ),
+      'sound generators must be removed from a category before the category can be removed'
+    );
+    assert && assert(
+      !_.some( this.categories, otherCategory => otherCategory.parentCategory === category ),
+      'child categories must be removed before their parent can be removed'
+    );
+
+    // clean up any ducking that involves this category
+    if ( this.hasDucking( categoryName ) ) {
+      this.removeDucking( categoryName );
+    }
+    this.duckers.forEach( ducker => {
+      ducker.duckedCategories = _.without( ducker.duckedCategories, categoryName );
+    } );
+
+    if ( this.soundPreferences ) {
+      this.soundPreferences.removeProperty( 'categoryLevels.' + categoryName );
+    }
+
+    delete this.categories[ categoryName ];
+    category.dispose();
+  }
+
+  /**
+   * Returns true if a category with the provided name exists.
+   * @param {string} categoryName
+   * @returns {boolean}
+   * @public
+   */
+  hasCategory( categoryName ) {
+    return this.categories.hasOwnProperty( categoryName );
   }
 
   /**
@@ -285,36 +827,108 @@ class SoundManager extends PhetioObject {
    */
   hasSoundGenerator( soundGenerator ) {
     return _.some(
-      this.soundGeneratorInfoArray,
-      soundGeneratorInfo => soundGeneratorInfo.soundGenerator === soundGenerator
+      this.soundGeneratorRegistrations,
+      registration => registration.soundGenerator === soundGenerator
     );
   }
 
   /**
-   * add a sound generator, which connects it to the audio path, puts it on the list of sound generators, and creates
-   * and returns a unique ID
+   * Get the number of sound generators that have been added to the sound manager.
+   * @returns {number}
+   * @public
+   */
+  getNumberOfSoundGenerators() {
+    return this.soundGeneratorRegistrations.length;
+  }
+
+  /**
+   * Get descriptions of the sound generators that have been added to the sound manager, which reflect their state at
+   * the time of the call.  This is intended for use in tools, e.g. ones that find sound generators that were never
+   * removed.
+   * @returns {Object[]} - an array of objects, each with these fields:
+   *   {SoundGenerator} soundGenerator
+   *   {string} id - the tandem ID or the name of the sound generator, see SoundGenerator.id
+   *   {string} type - the name of the sound generator's class, e.g. 'SoundClip'
+   *   {string|null} categoryName
+   *   {string} sonificationLevel - one of the levels in sonificationLevels
+   *   {boolean[]} enableControlValues - current values of the Properties that control the enabled state
+   *   {boolean} fullyEnabled
+   *   {boolean} isPlaying - whether the sound generator currently has any active voices
+   * @public
+   */
+  getSoundGeneratorDescriptions() {
+    return this.soundGeneratorRegistrations.map( registration => {
+      const soundGenerator = registration.soundGenerator;
+      return {
+        soundGenerator: soundGenerator,
+        id: soundGenerator.id,
+        type: soundGenerator.constructor.name,
+        categoryName: registration.categoryName,
+        sonificationLevel: registration.sonificationLevel,
+        enableControlValues: soundGenerator.getEnableControlProperties().map( property => property.value ),
+        fullyEnabled: soundGenerator.fullyEnabled,
+        isPlaying: this.voiceManager.hasActiveVoices( soundGenerator )
+      };
+    } );
+  }
+
+  /**
+   * Add a sound generator, which connects it to the audio path and puts it on the list of sound generators.  If the
+   * sound manager hasn't been initialized yet, the sound generator is added once initialization is complete.
    * @param {SoundGenerator} soundGenerator
-   * @param {Object} [options]
+   * @param {Object} [options] - see registerSoundGenerator
+   * @returns {SoundGeneratorRegistration} - handle that owns everything that was created for the sound generator,
+   * which is torn down when the sound generator is removed or disposed
    * @public
    */
   addSoundGenerator( soundGenerator, options ) {
 
+    // verify that this is not a duplicate addition
+    const hasSoundGenerator = this.hasSoundGenerator( soundGenerator ) || _.some(
+      this.soundGeneratorsAwaitingAdd,
+      soundGeneratorAwaitingAdd => soundGeneratorAwaitingAdd.soundGenerator === soundGenerator
+    );
+    assert && assert( !hasSoundGenerator, 'can\'t add the same sound generator twice' );
+
+    const registration = new SoundGeneratorRegistration(
+      soundGenerator,
+      soundGeneratorToRemove => this.removeSoundGenerator( soundGeneratorToRemove )
+    );
+    soundGenerator.setSoundManagerRegistration( registration );
+
     // Check if initialization has been done and, if not, queue the sound generator and its options for addition
     // once initialization is complete.  Note that when sound is not supported, initialization will never occur.
-    if ( !this.initialized ) {
-      this.soundGeneratorsAwaitingAdd.push( { soundGenerator: soundGenerator, options: options } );
-      return;
+    if ( this.initialized ) {
+      this.registerSoundGenerator( registration, options );
+    }
+    else {
+      this.soundGeneratorsAwaitingAdd.push( {
+        soundGenerator: soundGenerator,
+        options: options,
+        registration: registration
+      } );
     }
 
-    // verify that this is not a duplicate addition
-    const hasSoundGenerator = this.hasSoundGenerator( soundGenerator );
-    assert && assert( !hasSoundGenerator, 'can\'t add the same sound generator twice' );
+    return registration;
+  }
+
+  /**
+   * Connect a sound generator to the audio path and set up everything needed to manage it, keeping track of it all in
+   * the provided registration so that it can be torn down when the sound generator is removed.
+   * @param {SoundGeneratorRegistration} registration
+   * @param {Object} [options]
+   * @private
+   */
+  registerSoundGenerator( registration, options ) {
+
+    const soundGenerator = registration.soundGenerator;
 
     // default options
     options = merge( {
 
       // {string} - The 'sonification level' is used to determine whether a given sound should be enabled given the
-      // setting of the sonification level parameter for the sim.  Valid values are 'BASIC' or 'ENHANCED'.
+      // selected sonification level for the sim.  Valid values are the levels that were provided during
+      // initialization, which by default are 'BASIC' and 'ENHANCED'.
       sonificationLevel: SoundLevelEnum.BASIC,
 
       // {Node|null} - A Scenery node that, if provided, must be visible in the display for the sound generator to be
@@ -323,121 +937,492 @@ class SoundManager extends PhetioObject {
       associatedViewNode: null,
 
       // {string} - category name for this sound, which can be used to group sounds together an control them as a group
-      categoryName: null
+      categoryName: null,
+
+      // {number|NumberProperty|null} - Stereo pan position for this sound generator, where -1 is fully left, 0 is
+      // centered, and 1 is fully right.  A NumberProperty can be provided if the pan position needs to change over
+      // time.  If null, and if panFromViewPosition is false, no panner is created for this sound generator.
+      pan: null,
+
+      // {boolean} - If true, the pan position is updated automatically based on the horizontal position of the
+      // associatedViewNode in the display so that the sound seems to come from wherever the node is shown.  This
+      // requires that associatedViewNode be provided and that the node have only one parent.
+      panFromViewPosition: false,
+
+      // {Object|null} - If provided, this sound generator will duck other categories whenever it is producing sound.
+      // See addDucking for the options that can be used here.
+      duckingOptions: null,
+
+      // {number} - Priority used when the max number of simultaneous voices has been reached.  Voices with lower
+      // priority are stolen first, and a sound generator can only steal voices with a priority lower than or equal to
+      // its own.
+      priority: 0,
+
+      // {boolean} - If true, this sound generator follows timeSpeedProperty, so that sounds that are tied to model
+      // motion match the speed of the sim clock, e.g. when it is running in slow motion or is paused.
+      scaleWithTimeSpeed: false
     }, options );
 
     // validate the options
     assert && assert(
-      _.includes( _.values( SoundLevelEnum ), options.sonificationLevel ),
+      _.includes( this.sonificationLevels, options.sonificationLevel ),
       'invalid value for sonification level: ' + options.sonificationLevel
     );
+    assert && assert(
+      !options.panFromViewPosition || options.associatedViewNode,
+      'an associatedViewNode must be provided in order to pan based on view position'
+    );
+    assert && assert(
+      !( options.panFromViewPosition && options.pan !== null ),
+      'pan and panFromViewPosition cannot both be specified'
+    );
+    assert && assert(
+      options.categoryName === null || this.categories[ options.categoryName ],
+      'no category with name = ' + options.categoryName
+    );
+
+    registration.sonificationLevel = options.sonificationLevel;
+    registration.categoryName = options.categoryName;
+
+    // Create a panner if needed.  Not all browsers support StereoPannerNode, so panning is skipped if it isn't there.
+    let pannerNode = null;
+    if ( ( options.pan !== null || options.panFromViewPosition ) && phetAudioContext.createStereoPanner ) {
+      pannerNode = phetAudioContext.createStereoPanner();
+      pannerNode.pan.setValueAtTime( 0, phetAudioContext.currentTime );
+      soundGenerator.connect( pannerNode );
+      registration.pannerNode = pannerNode;
+      registration.panningViewNode = options.panFromViewPosition ? options.associatedViewNode : null;
+    }
+
+    // the node that will be connected to the output path, which is either the panner or the sound generator itself
+    const outputSource = pannerNode || soundGenerator;
 
     // connect the sound generator to an output path
-    if ( options.categoryName === null ) {
-      soundGenerator.connect( this.convolver );
-      soundGenerator.connect( this.dryGainNode );
+    const outputDestinations = options.categoryName === null ?
+                               [ this.reverbInputNode, this.dryGainNode ] :
+                               [ this.categories[ options.categoryName ].inputNode ];
+    outputDestinations.forEach( outputDestination => outputSource.connect( outputDestination ) );
+    registration.addDisposer( () => {
+      outputDestinations.forEach( outputDestination => outputSource.disconnect( outputDestination ) );
+      if ( pannerNode ) {
+        soundGenerator.disconnect( pannerNode );
+      }
+    } );
+
+    this.soundGeneratorRegistrations.push( registration );
+
+    // resume from idle suspension when the sound generator defers a sound because the audio context isn't running
+    const soundDeferredListener = () => this.resumeFromIdleSuspension();
+    soundGenerator.soundDeferredEmitter.addListener( soundDeferredListener );
+    registration.addDisposer( () => soundGenerator.soundDeferredEmitter.removeListener( soundDeferredListener ) );
+
+    // listen for sound events from the sound generator, which are used to resume from idle suspension and to produce
+    // captions and vibrations, only sounds that will be heard are worth resuming the audio context for
+    const soundEventListener = soundEvent => {
+      if ( soundEvent.eventType !== 'stop' ) {
+        if ( soundEvent.audible ) {
+          this.resumeFromIdleSuspension();
+        }
+        this.emitCaption( soundEvent );
+        this.produceVibration( registration );
+      }
+    };
+    soundGenerator.soundEventEmitter.addListener( soundEventListener );
+    registration.addDisposer( () => soundGenerator.soundEventEmitter.removeListener( soundEventListener ) );
+
+    // set the initial pan position and, if a Property was provided, hook it up so that the pan follows it
+    if ( pannerNode && options.pan !== null ) {
+      if ( typeof options.pan === 'number' ) {
+        pannerNode.pan.setValueAtTime( Utils.clamp( options.pan, -1, 1 ), phetAudioContext.currentTime );
+      }
+      else {
+        const panProperty = options.pan;
+        const panListener = pan => {
+          pannerNode.pan.setTargetAtTime(
+            Utils.clamp( pan, -1, 1 ),
+            phetAudioContext.currentTime,
+            DEFAULT_TIME_CONSTANT
+          );
+        };
+        panProperty.link( panListener );
+        registration.addDisposer( () => panProperty.unlink( panListener ) );
+      }
     }
-    else {
-      soundGenerator.connect( this.gainNodesForCategories[ options.categoryName ] );
+
+    // hook up the voice manager so that the number of sound sources created by this sound generator is limited
+    soundGenerator.setVoiceManager( this.voiceManager, options.priority );
+
+    // if this sound generator has opted in to time scaling, hook it up to the time speed
+    if ( options.scaleWithTimeSpeed ) {
+      soundGenerator.setTimeSpeedProperty( this.timeSpeedProperty );
+      registration.addDisposer( () => soundGenerator.setTimeSpeedProperty( null ) );
     }
 
-    // keep a record of the sound generator along with additional information about it
-    const soundGeneratorInfo = {
-      soundGenerator: soundGenerator,
-      sonificationLevel: options.sonificationLevel
-    };
-    this.soundGeneratorInfoArray.push( soundGeneratorInfo );
+    // let the sound generator know its category so that it can be included in the sound events that it produces
+    soundGenerator.setCategoryName( options.categoryName );
+
+    registration.addDisposer( () => {
+
+      // stop limiting the voices for this sound generator
+      this.voiceManager.releaseVoicesForSoundGenerator( soundGenerator );
+      soundGenerator.setVoiceManager( null );
+      soundGenerator.setCategoryName( null );
+    } );
 
     // add the global enable Property to the list of Properties that enable this sound generator
-    soundGenerator.addEnableControlProperty( this.enabledProperty );
+    registration.addEnableControlProperty( this.enabledProperty );
 
-    // if this sound generator is only enabled in enhanced mode, add the enhanced mode Property as an enable control
-    if ( options.sonificationLevel === SoundLevelEnum.ENHANCED ) {
-      soundGenerator.addEnableControlProperty( this.enhancedSoundEnabledProperty );
+    // Suppress the sound from this sound generator when sounds are suppressed.  One-shot sounds are stopped and aren't
+    // played while suppressed, and loops are muted but keep running so that they resume cleanly afterwards.
+    registration.addEnableControlProperty( this.soundNotSuppressedProperty );
+
+    // if this sound generator is above the lowest sonification level, it is only enabled when its level is selected
+    if ( options.sonificationLevel !== this.sonificationLevels[ 0 ] ) {
+      registration.addEnableControlProperty( this.sonificationLevelEnabledProperties[ options.sonificationLevel ] );
     }
 
     // if a view node was specified, create and pass in a boolean Property that is true only when the node is displayed
     if ( options.associatedViewNode ) {
-      soundGenerator.addEnableControlProperty(
-        new DisplayedProperty( options.associatedViewNode, phet.joist.display )
-      );
+      const displayedProperty = new DisplayedProperty( options.associatedViewNode, phet.joist.display );
+      registration.displayedProperty = displayedProperty;
+      registration.addEnableControlProperty( displayedProperty );
+      registration.addDisposer( () => displayedProperty.dispose() );
+    }
+
+    // if specified, set up this sound generator to duck other categories when it is producing sound
+    if ( options.duckingOptions ) {
+      this.addDucking( soundGenerator, options.duckingOptions );
     }
+
+    this.soundGeneratorAddedEmitter.emit( soundGenerator );
   }
 
   /**
-   * remove the specified sound generator
+   * Remove the specified sound generator, which disconnects it from the audio path and tears down everything that was
+   * created for it when it was added.  See also SoundGeneratorRegistration.remove, which does the same thing.
    * @param {SoundGenerator} soundGenerator
    * @public
    */
   removeSoundGenerator( soundGenerator ) {
 
-    // Check if the sound manager is initialized and, if not, issue a warning and ignore the request.  This is not an
-    // assertion because the sound manager may not be initialized in cases where the sound is not enabled for the
-    // simulation, but this method can still end up being invoked.
+    // If the sound manager isn't initialized, the sound generator may be waiting to be added.
     if ( !this.initialized ) {
-      console.warn( 'an attempt was made to remove a sound generator from an uninitialized sound manager, ignoring' );
-      return null;
-    }
-
-    // find the info object for this sound generator
-    let soundGeneratorInfo = null;
-    for ( let i = 0; i < this.soundGeneratorInfoArray.length; i++ ) {
-      if ( this.soundGeneratorInfoArray[ i ].soundGenerator === soundGenerator ) {
-
-        // found it
-        soundGeneratorInfo = this.soundGeneratorInfoArray[ i ];
-        break;
+      const soundGeneratorAwaitingAdd = _.find(
+        this.soundGeneratorsAwaitingAdd,
+        awaitingAdd => awaitingAdd.soundGenerator === soundGenerator
+      );
+      if ( soundGeneratorAwaitingAdd ) {
+        this.soundGeneratorsAwaitingAdd = _.without( this.soundGeneratorsAwaitingAdd, soundGeneratorAwaitingAdd );
+        soundGeneratorAwaitingAdd.registration.dispose();
+        soundGenerator.setSoundManagerRegistration( null );
       }
+      else {
+        console.warn( 'an attempt was made to remove a sound generator from an uninitialized sound manager, ignoring' );
+      }
+      return;
     }
 
+    // find the registration for this sound generator
+    const registration = _.find(
+      this.soundGeneratorRegistrations,
+      soundGeneratorRegistration => soundGeneratorRegistration.soundGenerator === soundGenerator
+    );
+
     // make sure it is actually present on the list
-    assert && assert( soundGeneratorInfo, 'unable to remove sound generator - not found' );
+    assert && assert( registration, 'unable to remove sound generator - not found' );
 
-    // disconnect the sound generator from any audio nodes to which it may be connected
-    if ( soundGenerator.isConnectedTo( this.convolver ) ) {
-      soundGenerator.disconnect( this.convolver );
+    // remove any ducking that this sound generator was triggering
+    if ( this.hasDucking( soundGenerator ) ) {
+      this.removeDucking( soundGenerator );
     }
-    if ( soundGenerator.isConnectedTo( this.dryGainNode ) ) {
-      soundGenerator.disconnect( this.dryGainNode );
-    }
-    _.values( this.gainNodesForCategories ).forEach( gainNode => {
-      if ( soundGenerator.isConnectedTo( gainNode ) ) {
-        soundGenerator.disconnect( gainNode );
-      }
-    } );
+
+    // tear down everything that was set up when the sound generator was added
+    registration.dispose();
+    soundGenerator.setSoundManagerRegistration( null );
 
     // remove the sound generator from the list
-    this.soundGeneratorInfoArray = _.without( this.soundGeneratorInfoArray, soundGeneratorInfo );
+    this.soundGeneratorRegistrations = _.without( this.soundGeneratorRegistrations, registration );
+
+    this.soundGeneratorRemovedEmitter.emit( soundGenerator );
   }
 
   /**
-   * set the master output level for sonification
-   * @param {number} level - valid values from 0 (min) through 1 (max)
+   * Add a Property that suppresses all sounds from the sound generators that have been added to the sound manager
+   * while it is true.  This is generally used to prevent sounds from being produced as a side effect of things like
+   * resetting the model, e.g. by adding the model's resetInProgressProperty.  Any number of suppressing Properties can
+   * be added, and sounds are suppressed when any of them is true.
+   * @param {Property.<boolean>} suppressingProperty
    * @public
    */
-  setMasterOutputLevel( level ) {
-
-    // Check if initialization has been done.  This is not an assertion because the sound manager may not be
-    // initialized if sound is not enabled for the sim.
-    if ( !this.initialized ) {
-      console.warn( 'an attempt was made to set the master output level on an uninitialized sound manager, ignoring' );
-      return null;
-    }
-
-    // range check
-    assert && assert( level >= 0 && level <= 1, 'output level value out of range: ' + level );
-
-    this._masterOutputLevel = level;
-    if ( this.enabledProperty.value ) {
-      this.masterGainNode.gain.linearRampToValueAtTime(
-        level,
-        phetAudioContext.currentTime + LINEAR_GAIN_CHANGE_TIME
-      );
-    }
-  }
-
-  set masterOutputLevel( outputLevel ) {
-    this.setMasterOutputLevel( outputLevel );
+  addSuppressingProperty( suppressingProperty ) {
+    assert && assert(
+      !this.hasSuppressingProperty( suppressingProperty ),
+      'can\'t add the same suppressing Property twice'
+    );
+    this.suppressingProperties.push( suppressingProperty );
+    suppressingProperty.link( this.updateSoundSuppressed );
+  }
+
+  /**
+   * Remove a Property that was added via addSuppressingProperty.
+   * @param {Property.<boolean>} suppressingProperty
+   * @public
+   */
+  removeSuppressingProperty( suppressingProperty ) {
+    assert && assert(
+      this.hasSuppressingProperty( suppressingProperty ),
+      'unable to remove suppressing Property - not found'
+    );
+    suppressingProperty.unlink( this.updateSoundSuppressed );
+    this.suppressingProperties = _.without( this.suppressingProperties, suppressingProperty );
+    this.updateSoundSuppressed();
+  }
+
+  /**
+   * Returns true if the provided Property has been added as a suppressing Property.
+   * @param {Property.<boolean>} suppressingProperty
+   * @returns {boolean}
+   * @public
+   */
+  hasSuppressingProperty( suppressingProperty ) {
+    return _.includes( this.suppressingProperties, suppressingProperty );
+  }
+
+  /**
+   * Set up ducking, which is the automatic reduction of the output level of some categories of sound whenever another
+   * category or an individual sound generator is producing sound.  This can be used to keep important sounds, such as
+   * user interface feedback, clear when long-running sounds such as loops are playing.  Only sound generators that
+   * have been assigned to a category can be ducked.
+   * @param {string|SoundGenerator} trigger - the category name or sound generator whose sound will cause ducking, a
+   * sound generator must be added to the sound manager before it can be used as a trigger
+   * @param {Object} [options]
+   * @public
+   */
+  addDucking( trigger, options ) {
+
+    // Check if initialization has been done.  This is not an assertion because the sound manager may not be
+    // initialized if sound is not enabled for the sim.
+    if ( !this.initialized ) {
+      console.warn( 'an attempt was made to add ducking to an uninitialized sound manager, ignoring' );
+      return;
+    }
+
+    assert && assert( !this.hasDucking( trigger ), 'ducking already exists for this trigger' );
+
+    // determine the category that the trigger is in, if any
+    let triggerCategoryName;
+    if ( typeof trigger === 'string' ) {
+      assert && assert( this.categories[ trigger ], 'no category with name = ' + trigger );
+      triggerCategoryName = trigger;
+    }
+    else {
+      const registration = _.find(
+        this.soundGeneratorRegistrations,
+        soundGeneratorRegistration => soundGeneratorRegistration.soundGenerator === trigger
+      );
+      assert && assert( registration, 'sound generator must be added before it can trigger ducking' );
+      triggerCategoryName = registration.categoryName;
+    }
+
+    options = merge( {
+
+      // {string[]|null} - names of the categories that will be ducked, null means all categories other than the one
+      // that contains the trigger
+      duckedCategories: null,
+
+      // {number} - the level, from 0 to 1, to which ducked categories will be reduced while the trigger is producing
+      // sound, e.g. 0.25 reduces ducked categories to a quarter of their normal level
+      duckingLevel: 0.25,
+
+      // {number} - time, in seconds, for ducked categories to reach the ducking level once sound is detected
+      attackTime: 0.05,
+
+      // {number} - time, in seconds, for ducked categories to return to their normal level once the trigger goes quiet
+      releaseTime: 0.5,
+
+      // {number} - time, in seconds, that the trigger must be quiet before the release begins, this prevents the
+      // levels from pumping up and down in the gaps between closely spaced sounds
+      holdTime: 0.15,
+
+      // {number} - RMS signal level above which the trigger is considered to be producing sound
+      activityThreshold: 0.001
+    }, options );
+
+    // By default, all categories are ducked except for the trigger's own category and those that are nested with it,
+    // since ducking those would reduce the level of the trigger itself.
+    const duckedCategories = options.duckedCategories || _.keys( this.categories ).filter( categoryName =>
+      triggerCategoryName === null ||
+      !this.categories[ categoryName ].isRelatedTo( this.categories[ triggerCategoryName ] )
+    );
+
+    assert && assert( options.duckingLevel >= 0 && options.duckingLevel <= 1, 'ducking level out of range' );
+    assert && assert(
+      _.every( duckedCategories, categoryName => this.categories[ categoryName ] ),
+      'ducked categories must all exist'
+    );
+    assert && assert(
+      triggerCategoryName === null || _.every(
+        duckedCategories,
+        categoryName => !this.categories[ categoryName ].isRelatedTo( this.categories[ triggerCategoryName ] )
+      ),
+      'a trigger can\'t duck its own category or the categories nested with it'
+    );
+
+    // Create an analyser node that is used to detect whether the trigger is producing sound.  For categories, this is
+    // tapped off before the ducking gain so that categories that duck one another don't get stuck in a ducked state.
+    const analyserNode = phetAudioContext.createAnalyser();
+    analyserNode.fftSize = DUCKING_ANALYSER_FFT_SIZE;
+    if ( typeof trigger === 'string' ) {
+      this.categories[ trigger ].inputNode.connect( analyserNode );
+    }
+    else {
+      trigger.connect( analyserNode );
+    }
+
+    this.duckers.push( new Ducker( trigger, analyserNode, duckedCategories, options ) );
+  }
+
+  /**
+   * Returns true if ducking has been set up for the provided trigger.
+   * @param {string|SoundGenerator} trigger
+   * @returns {boolean}
+   * @public
+   */
+  hasDucking( trigger ) {
+    return _.some( this.duckers, ducker => ducker.trigger === trigger );
+  }
+
+  /**
+   * Remove ducking that was previously set up via addDucking.  Any categories that were ducked by this trigger will
+   * be released on the next step.
+   * @param {string|SoundGenerator} trigger
+   * @public
+   */
+  removeDucking( trigger ) {
+
+    // Check if initialization has been done.  This is not an assertion because the sound manager may not be
+    // initialized if sound is not enabled for the sim.
+    if ( !this.initialized ) {
+      console.warn( 'an attempt was made to remove ducking from an uninitialized sound manager, ignoring' );
+      return;
+    }
+
+    const ducker = _.find( this.duckers, ducker => ducker.trigger === trigger );
+    assert && assert( ducker, 'no ducking found for trigger' );
+
+    // disconnect the analyser that was monitoring the trigger
+    if ( typeof trigger === 'string' ) {
+      this.categories[ trigger ].inputNode.disconnect( ducker.analyserNode );
+    }
+    else {
+      trigger.disconnect( ducker.analyserNode );
+    }
+
+    this.duckers = _.without( this.duckers, ducker );
+  }
+
+  /**
+   * Update the ducking levels for all categories based on whether the ducking triggers are producing sound.  This is
+   * called on every step of the timer.
+   * @param {number} dt - time step, in seconds
+   * @private
+   */
+  updateDucking( dt ) {
+
+    // update the active state of each ducker
+    this.duckers.forEach( ducker => { ducker.step( dt ); } );
+
+    _.values( this.categories ).forEach( category => {
+      const categoryName = category.name;
+
+      // find the active ducker that is reducing this category the most, if any
+      let controllingDucker = null;
+      this.duckers.forEach( ducker => {
+        if ( ducker.isDucking && _.includes( ducker.duckedCategories, categoryName ) &&
+             ( !controllingDucker || ducker.duckingLevel < controllingDucker.duckingLevel ) ) {
+          controllingDucker = ducker;
+        }
+      } );
+
+      const currentLevel = category.duckingLevel;
+      const targetLevel = controllingDucker ? controllingDucker.duckingLevel : 1;
+      if ( targetLevel !== currentLevel ) {
+
+        // Use the attack time of the controlling ducker when heading down and the longest release time of those that
+        // duck this category when heading back up.  The time constant is calculated such that the level will have
+        // changed by 99% over the specified time, see Web Audio time constant information to understand this.
+        let changeTime;
+        if ( targetLevel < currentLevel ) {
+          changeTime = controllingDucker.attackTime;
+        }
+        else {
+          changeTime = _.max( this.duckers.map( ducker =>
+            _.includes( ducker.duckedCategories, categoryName ) ? ducker.releaseTime : 0
+          ).concat( [ LINEAR_GAIN_CHANGE_TIME ] ) );
+        }
+        category.setDuckingLevel( targetLevel, Math.max( changeTime / 4.61, DEFAULT_TIME_CONSTANT ) );
+      }
+    } );
+  }
+
+  /**
+   * Update the pan values for all sound generators whose panning is based on the horizontal position of their
+   * associated view node.  This is called on every step of the timer.
+   * @private
+   */
+  updateViewPositionPanning() {
+
+    const display = phet.joist.display;
+    if ( !display || display.width === 0 ) {
+      return;
+    }
+
+    this.soundGeneratorRegistrations.forEach( registration => {
+      const viewNode = registration.panningViewNode;
+      if ( !viewNode ) {
+        return;
+      }
+
+      // Find the trail from the display's root to the view node if the cached one is no longer valid.  The panning
+      // isn't updated for nodes that aren't in the display, since the global position of detached nodes isn't
+      // meaningful, or for nodes that are in it more than once, since their position is ambiguous.
+      let trail = registration.panningTrail;
+      if ( !trail || !trail.isValid() || trail.rootNode() !== display.rootNode ) {
+        const trails = viewNode.getTrails( node => node === display.rootNode );
+        trail = trails.length === 1 ? trails[ 0 ] : null;
+        registration.panningTrail = trail;
+      }
+
+      if ( trail ) {
+        const globalCenterX = trail.localToGlobalPoint( viewNode.localBounds.center ).x;
+        const pan = Utils.clamp(
+          Utils.linear( 0, display.width, -MAX_VIEW_POSITION_PAN, MAX_VIEW_POSITION_PAN, globalCenterX ),
+          -MAX_VIEW_POSITION_PAN,
+          MAX_VIEW_POSITION_PAN
+        );
+        if ( Math.abs( pan - registration.viewPositionPan ) > VIEW_POSITION_PAN_UPDATE_THRESHOLD ) {
+          registration.pannerNode.pan.setTargetAtTime( pan, phetAudioContext.currentTime, DEFAULT_TIME_CONSTANT );
+          registration.viewPositionPan = pan;
+        }
+      }
+    } );
+  }
+
+  /**
+   * set the master output level for sonification
+   * @param {number} level - valid values from 0 (min) through 1 (max)
+   * @public
+   */
+  setMasterOutputLevel( level ) {
+
+    // range check
+    assert && assert( level >= 0 && level <= 1, 'output level value out of range: ' + level );
+
+    this.masterOutputLevelProperty.value = level;
+  }
+
+  set masterOutputLevel( outputLevel ) {
+    this.setMasterOutputLevel( outputLevel );
   }
 
   /**
@@ -445,7 +1430,7 @@ class SoundManager extends PhetioObject {
    * @returns {number}
    */
   getMasterOutputLevel() {
-    return this._masterOutputLevel;
+    return this.masterOutputLevelProperty.value;
   }
 
   get masterOutputLevel() {
@@ -467,15 +1452,13 @@ class SoundManager extends PhetioObject {
       return null;
     }
 
-    assert && assert( this.initialized, 'output levels for categories cannot be added until initialization has been done' );
-
     // range check
     assert && assert( outputLevel >= 0 && outputLevel <= 1, 'output level value out of range: ' + outputLevel );
 
     // verify that the specified category exists
-    assert && assert( this.gainNodesForCategories[ categoryName ], 'no category with name = ' + categoryName );
+    assert && assert( this.categories[ categoryName ], 'no category with name = ' + categoryName );
 
-    this.gainNodesForCategories[ categoryName ].gain.setValueAtTime( outputLevel, phetAudioContext.currentTime );
+    this.categories[ categoryName ].levelProperty.value = outputLevel;
   }
 
   /**
@@ -493,9 +1476,78 @@ class SoundManager extends PhetioObject {
     }
 
     // verify that the specified category exists
-    assert && assert( this.gainNodesForCategories[ categoryName ], 'no category with name = ' + categoryName );
+    assert && assert( this.categories[ categoryName ], 'no category with name = ' + categoryName );
+
+    return this.categories[ categoryName ].levelProperty.value;
+  }
+
+  /**
+   * Get the category with the specified name, which provides access to the Properties that control the level and the
+   * enabled state of the category.
+   * @param {string} categoryName
+   * @returns {SoundCategory}
+   * @public
+   */
+  getCategory( categoryName ) {
+    assert && assert( this.categories[ categoryName ], 'no category with name = ' + categoryName );
+    return this.categories[ categoryName ];
+  }
+
+  /**
+   * Returns true if a sound produced by the provided sound generator right now could be heard, i.e. if the sound
+   * generator is fully enabled and has a non-zero output level, its category and all of the category's ancestors are
+   * enabled and have non-zero levels, sound is enabled globally with a non-zero master output level, and the sim is
+   * visible, active, and not setting the PhET-iO state.
+   * @param {SoundGenerator} soundGenerator
+   * @returns {boolean}
+   * @public
+   */
+  isAudible( soundGenerator ) {
+    if ( !this.initialized ||
+         !soundGenerator.fullyEnabled ||
+         soundGenerator.getOutputLevel() === 0 ||
+         !this.enabledProperty.value ||
+         this.masterOutputLevelProperty.value === 0 ||
+         !this.simVisibleProperty.value ||
+         !this.simActiveProperty.value ||
+         phet.joist.sim.isSettingPhetioStateProperty.value ) {
+      return false;
+    }
+    let category = soundGenerator.categoryName === null ? null : this.categories[ soundGenerator.categoryName ];
+    while ( category ) {
+      if ( !category.enabledProperty.value || category.levelProperty.value === 0 ) {
+        return false;
+      }
+      category = category.parentCategory;
+    }
+    return true;
+  }
+
+  /**
+   * Set the maximum number of voices, i.e. sound sources such as playing clips, that can be active at once.  If more
+   * voices than this are currently active, the excess lowest priority voices are stolen.
+   * @param {number} maxVoices
+   * @public
+   */
+  setMaxVoices( maxVoices ) {
+
+    // Check if initialization has been done.  This is not an assertion because the sound manager may not be
+    // initialized if sound is not enabled for the sim.
+    if ( !this.initialized ) {
+      console.warn( 'an attempt was made to set the max voices on an uninitialized sound manager, ignoring' );
+      return;
+    }
 
-    return this.gainNodesForCategories[ categoryName ].value;
+    this.voiceManager.setMaxVoices( maxVoices );
+  }
+
+  /**
+   * get the maximum number of voices that can be active at once
+   * @returns {number}
+   * @public
+   */
+  getMaxVoices() {
+    return this.initialized ? this.voiceManager.maxVoices : 0;
   }
 
   /**
@@ -503,27 +1555,388 @@ class SoundManager extends PhetioObject {
    * @param {number} newReverbLevel - value from 0 to 1, 0 = totally dry, 1 = wet
    */
   setReverbLevel( newReverbLevel ) {
+    assert && assert( newReverbLevel >= 0 && newReverbLevel <= 1, 'reverb value out of range: ' + newReverbLevel );
+    this.reverbLevelProperty.value = newReverbLevel;
+  }
+
+  set reverbLevel( reverbLevel ) {
+    this.setReverbLevel( reverbLevel );
+  }
+
+  /**
+   * Change one or more of the settings of the limiter, which is the dynamics compressor at the end of the output path.
+   * @param {Object} limiterParameters - can contain values for threshold, knee, ratio, attack and release, see
+   * DynamicsCompressorNode for valid ranges, and any values that aren't provided are left unchanged
+   * @public
+   */
+  setLimiterParameters( limiterParameters ) {
 
     // Check if initialization has been done.  This is not an assertion because the sound manager may not be
     // initialized if sound is not enabled for the sim.
     if ( !this.initialized ) {
-      console.warn( 'an attempt was made to set the reverb level on an uninitialized sound manager, ignoring' );
-      return null;
+      console.warn( 'an attempt was made to set the limiter parameters on an uninitialized sound manager, ignoring' );
+      return;
     }
 
-    assert && assert( newReverbLevel >= 0 && newReverbLevel <= 1, 'reverb value out of range: ' + newReverbLevel );
+    this.applyLimiterParameters( limiterParameters );
+  }
+
+  /**
+   * Start recording the sound that is being produced, which is captured at the end of the output path so that the
+   * recording includes everything that is heard.  This is intended for capturing sounds for demos, bug reports, and
+   * sound design reviews.  See stopRecording.
+   * @param {Object} [options] - options for the recorder, see OutputRecorder, only used the first time recording starts
+   * @returns {Promise} - resolves when recording has started, rejected if recording is already in
+   * progress or isn't supported
+   * @public
+   */
+  startRecording( options ) {
+
+    // Check if initialization has been done.  This is not an assertion because the sound manager may not be
+    // initialized if sound is not enabled for the sim.
+    if ( !this.initialized ) {
+      console.warn( 'an attempt was made to start recording on an uninitialized sound manager, ignoring' );
+      return Promise.reject( new Error( 'sound manager not initialized' ) );
+    }
+
+    if ( !this.outputRecorder ) {
+      this.outputRecorder = new OutputRecorder( options );
+      this.limiter.connect( this.outputRecorder.inputNode );
+    }
+    return this.outputRecorder.startRecording();
+  }
+
+  /**
+   * Stop recording and get the recorded sound, see startRecording.
+   * @returns {Promise.<Blob>} - resolves with the recorded sound encoded as a WAV file, rejects if recording wasn't in
+   * progress
+   * @public
+   */
+  stopRecording() {
+
+    // Check if initialization has been done.  This is not an assertion because the sound manager may not be
+    // initialized if sound is not enabled for the sim.
+    if ( !this.initialized ) {
+      console.warn( 'an attempt was made to stop recording on an uninitialized sound manager, ignoring' );
+      return Promise.reject( new Error( 'sound manager not initialized' ) );
+    }
+
+    if ( !this.isRecording() ) {
+      console.warn( 'an attempt was made to stop recording when recording was not in progress, ignoring' );
+      return Promise.reject( new Error( 'recording is not in progress' ) );
+    }
+
+    return this.outputRecorder.stopRecording();
+  }
+
+  /**
+   * Returns true if the sound output is being recorded.
+   * @returns {boolean}
+   * @public
+   */
+  isRecording() {
+    return !!this.outputRecorder && this.outputRecorder.isRecordingProperty.value;
+  }
+
+  /**
+   * Get the current settings of the limiter.
+   * @returns {{threshold:number, knee:number, ratio:number, attack:number, release:number}}
+   * @public
+   */
+  getLimiterParameters() {
+    return _.clone( this.limiterParameters );
+  }
+
+  /**
+   * Set the provided values on the limiter and keep track of them.
+   * @param {Object} limiterParameters
+   * @private
+   */
+  applyLimiterParameters( limiterParameters ) {
     const now = phetAudioContext.currentTime;
-    this.reverbGainNode.gain.linearRampToValueAtTime( newReverbLevel, now + LINEAR_GAIN_CHANGE_TIME );
-    this.dryGainNode.gain.linearRampToValueAtTime( 1 - newReverbLevel, now + LINEAR_GAIN_CHANGE_TIME );
-    this._reverbLevel = newReverbLevel;
+    _.keys( limiterParameters ).forEach( parameterName => {
+      assert && assert(
+        DEFAULT_LIMITER_PARAMETERS.hasOwnProperty( parameterName ),
+        'unknown limiter parameter: ' + parameterName
+      );
+      const value = limiterParameters[ parameterName ];
+      this.limiter[ parameterName ].setValueAtTime( value, now );
+      this.limiterParameters[ parameterName ] = value;
+    } );
   }
 
-  set reverbLevel( reverbLevel ) {
-    this.setReverbLevel( reverbLevel );
+  /**
+   * Sample the amount of reduction being applied by the limiter and report sustained heavy limiting, called each
+   * frame.
+   * @param {number} dt - time since last update, in seconds
+   * @private
+   */
+  updateLimiterReduction( dt ) {
+    const reduction = this.limiter.reduction;
+
+    // Some older implementations of the Web Audio API provide the reduction as an AudioParam instead of a number.
+    this.limiterReductionProperty.value = typeof reduction === 'number' ? reduction : reduction.value;
+
+    if ( this.limiterReductionProperty.value <= this.heavyLimitingReduction ) {
+      this.heavyLimitingDuration += dt;
+      if ( this.heavyLimitingDuration >= this.heavyLimitingTime && !this.heavyLimitingReported ) {
+        this.heavyLimitingEmitter.emit( this.heavyLimitingDuration );
+        this.heavyLimitingReported = true;
+      }
+    }
+    else {
+      this.heavyLimitingDuration = 0;
+      this.heavyLimitingReported = false;
+    }
+  }
+
+  /**
+   * Emit the caption for a sound event if it has one, it was audible, and it isn't suppressed by the rate limiting.
+   * @param {SoundEvent} soundEvent - see soundEventLog
+   * @private
+   */
+  emitCaption( soundEvent ) {
+    if ( soundEvent.caption && soundEvent.audible ) {
+      const timeSincePreviousCaption = ( soundEvent.timestamp - this.previousCaptionTime ) / 1000;
+      const isRepeat = soundEvent.caption === this.previousCaption;
+      if ( timeSincePreviousCaption >= MIN_CAPTION_INTERVAL &&
+           ( !isRepeat || timeSincePreviousCaption >= MIN_CAPTION_REPEAT_INTERVAL ) ) {
+        this.previousCaption = soundEvent.caption;
+        this.previousCaptionTime = soundEvent.timestamp;
+        this.captionEmitter.emit( soundEvent.caption );
+      }
+    }
   }
 
+  /**
+   * Produce the vibration for a sound generator that has just produced sound, if it has a vibration pattern.  This
+   * obeys the same rules as the sound, i.e. the sound generator's local enabled state and all of its enable control
+   * Properties, such as those for view node visibility, suppression, and any that were added by the sim, except for
+   * the global enabled state and the sonification level, since vibrations have their own enabled state.
+   * @param {SoundGeneratorRegistration} registration
+   * @private
+   */
+  produceVibration( registration ) {
+    const soundGenerator = registration.soundGenerator;
+    if ( soundGenerator.vibrationPattern ) {
+      const soundOnlyEnableControlProperties = [
+        this.enabledProperty,
+        ..._.values( this.sonificationLevelEnabledProperties )
+      ];
+      const enableControlProperties = [
+        soundGenerator.locallyEnabledProperty,
+        ..._.difference( soundGenerator.getEnableControlProperties(), soundOnlyEnableControlProperties )
+      ];
+      hapticsManager.vibrate( soundGenerator.vibrationPattern, { enableControlProperties: enableControlProperties } );
+    }
+  }
+
+  /**
+   * Keep track of how long it has been since any voices were active and suspend the audio context if it has been idle
+   * for long enough, called each frame.
+   * @param {number} dt - time since last update, in seconds
+   * @private
+   */
+  updateIdleSuspension( dt ) {
+    if ( this.idleSuspendTime === null || this.suspendedForIdle || phetAudioContext.isStubbed ) {
+      return;
+    }
+
+    if ( this.voiceManager.getNumberOfActiveVoices() > 0 ) {
+      this.idleTime = 0;
+    }
+    else {
+      this.idleTime += dt;
+      if ( this.idleTime >= this.idleSuspendTime && phetAudioContext.state === 'running' ) {
+        phet.log && phet.log( 'suspending audio context due to inactivity' );
+        this.suspendedForIdle = true;
+        phetAudioContext.suspend()
+          .catch( err => {
+            this.suspendedForIdle = false;
+            console.error( 'error when trying to suspend audio context due to inactivity, err = ' + err );
+          } );
+      }
+    }
+  }
+
+  /**
+   * Resume the audio context if it was suspended due to inactivity.  Sound generators that are asked to play while the
+   * audio context is suspended defer playing until it is running again, so no sounds are lost.
+   * @private
+   */
+  resumeFromIdleSuspension() {
+    this.idleTime = 0;
+    if ( this.suspendedForIdle ) {
+      phet.log && phet.log( 'resuming audio context after suspension due to inactivity' );
+      this.suspendedForIdle = false;
+      phetAudioContext.resume()
+        .catch( err => {
+          console.error( 'error when trying to resume audio context after idle suspension, err = ' + err );
+        } );
+    }
+  }
+
+  /**
+   * Update the levels reported by the master and category level meters, called each frame.
+   * @private
+   */
+  updateLevelMeters() {
+    this.masterLevelMeter.step();
+    _.values( this.categories ).forEach( category => category.levelMeter.step() );
+  }
+
+  /**
+   * Set the output equalizer to one of its presets, see OutputEqualizer.PRESET_NAMES for the available values.
+   * @param {string} presetName
+   * @public
+   */
+  setOutputEqualizerPreset( presetName ) {
+    if ( !this.outputEqualizer ) {
+      console.warn( 'an attempt was made to set the equalizer preset when there is no output equalizer, ignoring' );
+      return;
+    }
+    this.outputEqualizer.setPreset( presetName );
+  }
+
+  /**
+   * Change the impulse response used for the reverb, which changes the characteristics of the acoustic space in which
+   * the sounds seem to be produced.  The change is done as a crossfade from the previous impulse response.
+   * @param {SoundInfo|AudioBuffer} impulseResponse
+   * @param {number} [crossfadeTime] - in seconds
+   * @public
+   */
+  setReverbImpulseResponse( impulseResponse, crossfadeTime ) {
+
+    // Check if initialization has been done.  This is not an assertion because the sound manager may not be
+    // initialized if sound is not enabled for the sim.
+    if ( !this.initialized ) {
+      console.warn( 'an attempt was made to set the reverb impulse response on an uninitialized sound manager, ignoring' );
+      return;
+    }
+
+    this.loadReverbImpulseResponse(
+      impulseResponse,
+      crossfadeTime === undefined ? DEFAULT_REVERB_CROSSFADE_TIME : crossfadeTime
+    );
+  }
+
+  /**
+   * Set the reverb to one of the named presets, which sets both the impulse response and the reverb level.  The
+   * built-in presets are 'dry', 'small-room' (the default) and 'hall', and more can be added using addReverbPreset.
+   * @param {string} presetName
+   * @param {number} [crossfadeTime] - in seconds
+   * @public
+   */
+  setReverbPreset( presetName, crossfadeTime ) {
+
+    // Check if initialization has been done.  This is not an assertion because the sound manager may not be
+    // initialized if sound is not enabled for the sim.
+    if ( !this.initialized ) {
+      console.warn( 'an attempt was made to set the reverb preset on an uninitialized sound manager, ignoring' );
+      return;
+    }
+
+    assert && assert( this.reverbPresets[ presetName ], 'no reverb preset with name = ' + presetName );
+    const preset = this.reverbPresets[ presetName ];
+    crossfadeTime = crossfadeTime === undefined ? DEFAULT_REVERB_CROSSFADE_TIME : crossfadeTime;
+
+    if ( preset.impulseResponse !== null ) {
+      const impulseResponse = typeof preset.impulseResponse === 'function' ?
+                              preset.impulseResponse( phetAudioContext ) :
+                              preset.impulseResponse;
+      this.loadReverbImpulseResponse( impulseResponse, crossfadeTime );
+    }
+    this.setReverbLevel( preset.reverbLevel );
+  }
+
+  /**
+   * Add a named reverb preset that can subsequently be used in setReverbPreset.
+   * @param {string} presetName
+   * @param {Object} preset - an object with an 'impulseResponse' field, which can be a SoundInfo, a function that
+   * takes an audio context and returns an AudioBuffer, or null to leave the impulse response unchanged, and a
+   * 'reverbLevel' field with a value from 0 to 1
+   * @public
+   */
+  addReverbPreset( presetName, preset ) {
+    assert && assert( !this.reverbPresets[ presetName ], 'reverb preset already exists: ' + presetName );
+    assert && assert( preset.reverbLevel >= 0 && preset.reverbLevel <= 1, 'reverb level out of range' );
+    this.reverbPresets[ presetName ] = preset;
+  }
+
+  /**
+   * Load an impulse response, decoding it first if necessary, and crossfade to it from the current one.
+   * @param {SoundInfo|AudioBuffer} impulseResponse
+   * @param {number} crossfadeTime - in seconds
+   * @private
+   */
+  loadReverbImpulseResponse( impulseResponse, crossfadeTime ) {
+
+    const requestNumber = ++this.impulseResponseRequestCount;
+
+    const crossfadeToImpulseResponse = audioBuffer => {
+
+      // ignore this if a newer request was made while it was being decoded
+      if ( requestNumber !== this.impulseResponseRequestCount ) {
+        return;
+      }
+
+      const now = phetAudioContext.currentTime;
+
+      // create a new path through a convolver that uses the new impulse response
+      const convolver = phetAudioContext.createConvolver();
+      convolver.buffer = audioBuffer;
+      const gainNode = phetAudioContext.createGain();
+      gainNode.gain.setValueAtTime( crossfadeTime > 0 ? 0 : 1, now );
+      this.reverbInputNode.connect( convolver );
+      convolver.connect( gainNode );
+      gainNode.connect( this.reverbGainNode );
+
+      // fade in the new path and fade out and then remove the previous one
+      const previousConvolverPath = this.activeConvolverPath;
+      if ( crossfadeTime > 0 ) {
+        gainNode.gain.linearRampToValueAtTime( 1, now + crossfadeTime );
+      }
+      if ( previousConvolverPath ) {
+
+        // ramp down from the current gain, since the previous path may itself still be fading in
+        const previousGain = previousConvolverPath.gainNode.gain;
+        const currentGain = previousGain.value;
+        previousGain.cancelScheduledValues( now );
+        previousGain.setValueAtTime( currentGain, now );
+        previousGain.linearRampToValueAtTime( 0, now + crossfadeTime );
+        timer.setTimeout( () => {
+          this.reverbInputNode.disconnect( previousConvolverPath.convolver );
+          previousConvolverPath.convolver.disconnect();
+          previousConvolverPath.gainNode.disconnect();
+        }, ( crossfadeTime + LINEAR_GAIN_CHANGE_TIME ) * 1000 );
+      }
+      this.activeConvolverPath = { convolver: convolver, gainNode: gainNode };
+    };
+
+    if ( SoundInfo.isSoundInfo( impulseResponse ) ) {
+      soundInfoDecoder.decode(
+        impulseResponse,
+        phetAudioContext,
+        crossfadeToImpulseResponse,
+        () => {
+
+          // error handler, we haven't seen this happen, so for now just log a message to the console
+          console.log( 'Error: Unable to decode audio data.' );
+        }
+      );
+    }
+    else {
+      crossfadeToImpulseResponse( impulseResponse );
+    }
+  }
+
+  /**
+   * get the current reverb level setting
+   * @returns {number}
+   * @public
+   */
   getReverbLevel() {
-    return this._reverbLevel;
+    return this.reverbLevelProperty.value;
   }
 
   get reverbLevel() {
@@ -552,10 +1965,10 @@ class SoundManager extends PhetioObject {
    */
   set sonificationLevel( sonificationLevel ) {
     assert && assert(
-      _.includes( _.values( SoundLevelEnum ), sonificationLevel ),
+      _.includes( this.sonificationLevels, sonificationLevel ),
       'invalid sonification level: ' + sonificationLevel
     );
-    this.enhancedSoundEnabledProperty.value = sonificationLevel === SoundLevelEnum.ENHANCED;
+    this.sonificationLevelProperty.value = sonificationLevel;
   }
 
   /**
@@ -563,7 +1976,23 @@ class SoundManager extends PhetioObject {
    * @returns {string}
    */
   get sonificationLevel() {
-    return this.enhancedSoundEnabledProperty.value ? SoundLevelEnum.ENHANCED : SoundLevelEnum.BASIC;
+    return this.sonificationLevelProperty.value;
+  }
+
+  /**
+   * Returns true if the provided sonification level is at or below the selected one, meaning that sound generators
+   * assigned to that level can produce sound.
+   * @param {string} sonificationLevel
+   * @returns {boolean}
+   * @public
+   */
+  isSonificationLevelSelected( sonificationLevel ) {
+    assert && assert(
+      _.includes( this.sonificationLevels, sonificationLevel ),
+      'invalid sonification level: ' + sonificationLevel
+    );
+    return this.sonificationLevels.indexOf( sonificationLevel ) <=
+           this.sonificationLevels.indexOf( this.sonificationLevelProperty.value );
   }
 
   /**
@@ -617,6 +2046,54 @@ class SoundManager extends PhetioObject {
   }
 }
 
+/**
+ * inner type that tracks the information and state for a ducking trigger, see SoundManager.addDucking
+ */
+class Ducker {
+
+  /**
+   * @param {string|SoundGenerator} trigger
+   * @param {AnalyserNode} analyserNode - analyser that is connected to the output of the trigger
+   * @param {string[]} duckedCategories
+   * @param {Object} options - see SoundManager.addDucking for details
+   */
+  constructor( trigger, analyserNode, duckedCategories, options ) {
+
+    // @public (read-only)
+    this.trigger = trigger;
+    this.analyserNode = analyserNode;
+    this.duckedCategories = duckedCategories;
+    this.duckingLevel = options.duckingLevel;
+    this.attackTime = options.attackTime;
+    this.releaseTime = options.releaseTime;
+
+    // @public (read-only) {boolean} - true when the trigger is producing sound (or was very recently)
+    this.isDucking = false;
+
+    // @private
+    this.holdTime = options.holdTime;
+    this.activityThreshold = options.activityThreshold;
+    this.timeSinceActive = Number.POSITIVE_INFINITY;
+    this.samples = new Float32Array( analyserNode.fftSize );
+  }
+
+  /**
+   * check whether the trigger is producing sound and update the ducking state accordingly
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.analyserNode.getFloatTimeDomainData( this.samples );
+    if ( SoundUtils.calculateRms( this.samples ) > this.activityThreshold ) {
+      this.timeSinceActive = 0;
+    }
+    else {
+      this.timeSinceActive += dt;
+    }
+    this.isDucking = this.timeSinceActive <= this.holdTime;
+  }
+}
+
 const soundManager = new SoundManager( Tandem.GENERAL_VIEW.createTandem( 'soundManager' ) );
 tambo.register( 'soundManager', soundManager );
 export default soundManager;
\ No newline at end of file
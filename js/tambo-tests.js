@@ -0,0 +1,13 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Unit tests for tambo.  Please run once in phet brand and once in brand=phet-io to cover all functionality.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import qunitStart from '../../chipper/js/sim-tests/qunitStart.js';
+import './offlineSoundRendererTests.js';
+
+// Since our tests are loaded asynchronously, we must direct QUnit to begin the tests
+qunitStart();
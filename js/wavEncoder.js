@@ -0,0 +1,111 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * wavEncoder is a singleton utility object that encodes audio data into the WAV file format, using 16-bit PCM samples.
+ * It can be used to save rendered or recorded audio so that it can be listened to or compared outside of the sim.
+ *
+ * @author John Blanco (PhET Interactive Simulations)
+ */
+
+import tambo from './tambo.js';
+
+// constants
+const BYTES_PER_SAMPLE = 2; // 16-bit PCM
+const HEADER_SIZE = 44; // in bytes, size of the RIFF header for a PCM WAV file
+
+/**
+ * helper function for writing a string into a data view one byte per character
+ * @param {DataView} dataView
+ * @param {number} offset
+ * @param {string} string
+ */
+function writeString( dataView, offset, string ) {
+  for ( let i = 0; i < string.length; i++ ) {
+    dataView.setUint8( offset + i, string.charCodeAt( i ) );
+  }
+}
+
+const wavEncoder = {
+
+  /**
+   * Encode the provided channel data into a WAV file.  The channels are interleaved, and sample values outside of the
+   * range -1 to 1 are clipped.
+   * @param {Float32Array[]} channelData - an array with the samples for each channel, all of which must be the same
+   * length
+   * @param {number} sampleRate - in samples per second
+   * @returns {ArrayBuffer}
+   * @public
+   */
+  encode( channelData, sampleRate ) {
+
+    assert && assert( channelData.length > 0, 'at least one channel of data is needed' );
+    assert && assert(
+      _.every( channelData, data => data.length === channelData[ 0 ].length ),
+      'all channels must have the same length'
+    );
+
+    const numberOfChannels = channelData.length;
+    const numberOfFrames = channelData[ 0 ].length;
+    const blockAlign = numberOfChannels * BYTES_PER_SAMPLE;
+    const dataSize = numberOfFrames * blockAlign;
+    const arrayBuffer = new ArrayBuffer( HEADER_SIZE + dataSize );
+    const dataView = new DataView( arrayBuffer );
+
+    // RIFF header
+    writeString( dataView, 0, 'RIFF' );
+    dataView.setUint32( 4, HEADER_SIZE - 8 + dataSize, true );
+    writeString( dataView, 8, 'WAVE' );
+
+    // format chunk
+    writeString( dataView, 12, 'fmt ' );
+    dataView.setUint32( 16, 16, true ); // chunk size
+    dataView.setUint16( 20, 1, true ); // format, 1 is PCM
+    dataView.setUint16( 22, numberOfChannels, true );
+    dataView.setUint32( 24, sampleRate, true );
+    dataView.setUint32( 28, sampleRate * blockAlign, true ); // byte rate
+    dataView.setUint16( 32, blockAlign, true );
+    dataView.setUint16( 34, BYTES_PER_SAMPLE * 8, true ); // bits per sample
+
+    // data chunk
+    writeString( dataView, 36, 'data' );
+    dataView.setUint32( 40, dataSize, true );
+    let offset = HEADER_SIZE;
+    for ( let frame = 0; frame < numberOfFrames; frame++ ) {
+      for ( let channel = 0; channel < numberOfChannels; channel++ ) {
+        const sample = Math.max( -1, Math.min( 1, channelData[ channel ][ frame ] ) );
+        dataView.setInt16( offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true );
+        offset += BYTES_PER_SAMPLE;
+      }
+    }
+
+    return arrayBuffer;
+  },
+
+  /**
+   * Encode the contents of an AudioBuffer into a WAV file.
+   * @param {AudioBuffer} audioBuffer
+   * @returns {ArrayBuffer}
+   * @public
+   */
+  encodeAudioBuffer( audioBuffer ) {
+    const channelData = [];
+    for ( let i = 0; i < audioBuffer.numberOfChannels; i++ ) {
+      channelData.push( audioBuffer.getChannelData( i ) );
+    }
+    return this.encode( channelData, audioBuffer.sampleRate );
+  },
+
+  /**
+   * Create a Blob from encoded WAV data, which can be used to download the sound or play it in an audio element.
+   * @param {ArrayBuffer} wavData - data created by one of the encode methods
+   * @returns {Blob}
+   * @public
+   */
+  createBlob( wavData ) {
+    return new window.Blob( [ wavData ], { type: 'audio/wav' } );
+  }
+};
+
+tambo.register( 'wavEncoder', wavEncoder );
+
+export default wavEncoder;